@@ -12,7 +12,10 @@ const reaper = require('./src/reaper');
 const twitch = require('./src/twitch');
 const streamlabs = require('./src/streamlabs');
 const streamelements = require('./src/streamelements');
+const youtube = require('./src/youtube');
+const autodj = require('./src/autodj');
 const gameEngine = require('./src/game-engine');
+const sessions = require('./src/sessions');
 
 console.log('');
 console.log('╔════════════════════════════════════════╗');
@@ -25,6 +28,9 @@ async function start() {
   // Start web server first (always available for config)
   server.start();
 
+  // Start recording this stream's game session
+  sessions.start();
+
   // Connect to REAPER via OSC
   console.log('');
   console.log('Connecting to services...');
@@ -49,6 +55,12 @@ async function start() {
   // Connect to StreamElements (if configured)
   streamelements.connect();
 
+  // Watch YouTube Live chat (if configured)
+  await youtube.connect();
+
+  // Feed song requests into the REAPER playlist (if auto-DJ is enabled)
+  autodj.start();
+
   console.log('');
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
 
@@ -56,9 +68,10 @@ async function start() {
   const twitchConfigured = config.get('twitch.clientId') && config.get('twitch.accessToken');
   const streamlabsConfigured = !!config.get('streamlabs.socketToken');
   const streamelementsConfigured = !!config.get('streamelements.jwtToken');
+  const youtubeConfigured = !!config.get('youtube.refreshToken');
   const reaperConfigured = config.get('reaper.sendPort');
 
-  if (!twitchConfigured && !streamlabsConfigured && !streamelementsConfigured) {
+  if (!twitchConfigured && !streamlabsConfigured && !streamelementsConfigured && !youtubeConfigured) {
     console.log('');
     console.log('⚠️  No integrations configured yet!');
     console.log('');
@@ -89,16 +102,23 @@ process.on('SIGINT', async () => {
   console.log('');
   console.log('Shutting down...');
 
-  // Remove rewards if game was active
+  // Pause (or remove) rewards if game was active - they're reconciled on the next start
   if (gameEngine.isEnabled()) {
-    await twitch.removeRewards();
+    await twitch.stopRewards();
   }
 
+  // Viewers can't be refunded while the bot is offline
+  await twitch.syncBumpReward(false);
+
   await twitch.disconnect();
   streamlabs.disconnect();
   streamelements.disconnect();
+  youtube.disconnect();
+  autodj.stop();
   reaper.disconnect();
   server.stop();
+  sessions.end();
+  config.flush();
 
   process.exit(0);
 });
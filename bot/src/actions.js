@@ -0,0 +1,118 @@
+const config = require('./config');
+
+// Built-in actions handled directly by GameEngine
+// Reward settings for these live under `rewards.<name>`
+const BUILTIN_ACTIONS = {
+  speedUp: { label: 'Speed Up', icon: '🔥' },
+  slowDown: { label: 'Slow Down', icon: '🧊' },
+  chaos: { label: 'CHAOS', icon: '🎲' },
+  reset: { label: 'Reset', icon: '✨' }
+};
+
+// Supported custom action types
+// - set:      jump to an exact playrate (value = target rate)
+// - adjust:   add to the current playrate (value = increment, proportionally scaled)
+// - multiply: multiply the current playrate (value = factor)
+// - freeze:   lock the playrate so no other action can change it (needs durationSeconds)
+// Any type can be made temporary with durationSeconds - the playrate reverts when it ends
+const CUSTOM_ACTION_TYPES = ['set', 'adjust', 'multiply', 'freeze'];
+
+class ActionRegistry {
+  /**
+   * Check if an action is one of the built-in actions
+   */
+  isBuiltin(name) {
+    return Object.prototype.hasOwnProperty.call(BUILTIN_ACTIONS, name);
+  }
+
+  /**
+   * Get an action definition by name
+   * @param {string} name - Action name (e.g., 'speedUp', 'halfTime')
+   * @returns {object|null} Action definition or null if unknown/disabled
+   */
+  get(name) {
+    if (!name) return null;
+
+    if (this.isBuiltin(name)) {
+      return {
+        name,
+        ...BUILTIN_ACTIONS[name],
+        builtin: true,
+        rewardPath: `rewards.${name}`
+      };
+    }
+
+    const custom = (config.get('customActions') || {})[name];
+    if (!custom || !custom.enabled) return null;
+
+    if (!CUSTOM_ACTION_TYPES.includes(custom.type)) {
+      console.warn(`Custom action "${name}" has unknown type "${custom.type}"`);
+      return null;
+    }
+
+    return {
+      name,
+      label: custom.label || name,
+      icon: custom.icon || '🎛️',
+      builtin: false,
+      type: custom.type,
+      value: custom.value,
+      minRate: custom.minRate ?? null,
+      maxRate: custom.maxRate ?? null,
+      durationSeconds: custom.durationSeconds || 0,
+      message: custom.message || '',
+      queuedMessage: custom.queuedMessage || '',
+      expiredMessage: custom.expiredMessage || '',
+      rewardPath: `customActions.${name}.reward`
+    };
+  }
+
+  /**
+   * List all available actions (built-in + enabled custom actions)
+   */
+  list() {
+    const names = [
+      ...Object.keys(BUILTIN_ACTIONS),
+      ...Object.keys(config.get('customActions') || {})
+    ];
+
+    return names
+      .map(name => this.get(name))
+      .filter(Boolean)
+      .map(({ name, label, icon, builtin, type, durationSeconds }) => ({ name, label, icon, builtin, type, durationSeconds }));
+  }
+
+  /**
+   * Get reward config for every action that can have a channel point reward
+   * Includes disabled custom actions so their rewards can still be removed
+   * @returns {array} [{ action, path, reward, available }]
+   */
+  getRewardEntries() {
+    const entries = Object.keys(BUILTIN_ACTIONS).map(name => ({
+      action: name,
+      path: `rewards.${name}`
+    }));
+
+    for (const name of Object.keys(config.get('customActions') || {})) {
+      entries.push({ action: name, path: `customActions.${name}.reward` });
+    }
+
+    return entries
+      .map(entry => ({
+        ...entry,
+        reward: config.get(entry.path),
+        available: !!this.get(entry.action)
+      }))
+      .filter(entry => entry.reward);
+  }
+
+  /**
+   * Find the action bound to a Twitch reward ID
+   */
+  findByRewardId(rewardId) {
+    if (!rewardId) return null;
+    return this.getRewardEntries().find(entry => entry.reward.rewardId === rewardId) || null;
+  }
+}
+
+module.exports = new ActionRegistry();
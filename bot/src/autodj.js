@@ -0,0 +1,177 @@
+const config = require('./config');
+const requests = require('./requests');
+const playlist = require('./playlist');
+const EventEmitter = require('events');
+
+/**
+ * Auto-DJ: feeds the song request queue into the REAPER playlist (HYD-LivePerformanceServer.lua)
+ *
+ * The head of the request queue is added to the playlist, and the request is completed once
+ * its song has played and the playlist moves on (closed, switched away from or another song plays).
+ */
+class AutoDJ extends EventEmitter {
+  constructor() {
+    super();
+    this.timer = null;
+    this.polling = false;
+    this.connected = false;     // REAPER web interface reachable and the Playlist script running
+    this.pushed = [];           // Requests sent to the playlist: [{ requestId, songId, title, seenPlaying, added }]
+    this.skipped = new Set();   // Request IDs removed from the playlist by hand - not pushed again
+  }
+
+  /**
+   * Start polling the REAPER playlist (does nothing while auto-DJ is disabled)
+   */
+  start() {
+    if (this.timer) return;
+    const intervalMs = config.get('autoDj.pollIntervalMs') || 1000;
+    this.timer = setInterval(() => this.poll(), intervalMs);
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Read the playlist state and push/complete requests
+   */
+  async poll() {
+    if (this.polling) return;
+
+    if (!config.get('autoDj.enabled')) {
+      if (this.pushed.length > 0 || this.connected) this.reset();
+      return;
+    }
+
+    this.polling = true;
+    try {
+      const data = await playlist.getData();
+      this.setConnected(!!data);
+      if (data) await this.update(data.q || []);
+    } catch (err) {
+      this.setConnected(false, err.message);
+    }
+    this.polling = false;
+  }
+
+  /**
+   * Track pushed requests against the playlist and send at most one command
+   * (the Playlist script reads one command per cycle)
+   * @param {array} playlistQueue - Playlist items: { id, a, t, p (playing), c (current) }
+   */
+  async update(playlistQueue) {
+    const playing = playlistQueue.find(item => item.p);
+
+    for (const entry of [...this.pushed]) {
+      const index = playlistQueue.findIndex(item => String(item.id) === entry.songId);
+      const item = playlistQueue[index];
+      const stillRequested = requests.getQueue().some(r => r.id === entry.requestId);
+
+      if (!entry.seenPlaying && item?.p) {
+        entry.seenPlaying = true;
+        console.log(`🎧 Auto-DJ: now playing request "${entry.title}"`);
+      }
+
+      if (!stillRequested) {
+        // Completed or cancelled elsewhere - take an unplayed song we added back out of the playlist
+        // (a song that was already in the streamer's playlist stays)
+        this.forget(entry);
+        if (!entry.seenPlaying && entry.added && item) {
+          await playlist.sendCommand(`remove:${index + 1}`);
+          return;
+        }
+        continue;
+      }
+
+      if (entry.seenPlaying) {
+        const finished = !item || (!item.p && (!item.c || (playing && playing !== item)));
+        if (finished) {
+          this.forget(entry);
+          const completed = requests.completeRequest(entry.requestId);
+          if (completed) {
+            console.log(`🎧 Auto-DJ: completed request "${entry.title}"`);
+            this.emit('requestCompleted', completed);
+          }
+        }
+      } else if (!item) {
+        // Removed from the playlist by hand before it played
+        this.forget(entry);
+        this.skipped.add(entry.requestId);
+        console.log(`🎧 Auto-DJ: "${entry.title}" was removed from the playlist - skipping it`);
+      }
+    }
+
+    // Keep one request waiting in the playlist (it preloads while the current song plays)
+    if (this.pushed.some(entry => !entry.seenPlaying)) return;
+
+    // A song that's already in the playlist for someone else waits until that one is done
+    const next = requests.getQueue().find(r =>
+      !this.skipped.has(r.id) && !this.pushed.some(entry => entry.requestId === r.id || entry.songId === String(r.songId))
+    );
+    if (!next) return;
+
+    const songId = String(next.songId);
+
+    // The playlist ignores songs it already has - it's tracked all the same, but never removed by us
+    const added = !playlistQueue.some(item => String(item.id) === songId);
+    this.pushed.push({ requestId: next.id, songId, title: next.songTitle, seenPlaying: false, added });
+
+    if (added) {
+      await playlist.sendCommand(`add:${songId}`);
+    }
+    console.log(`🎧 Auto-DJ: added "${next.songTitle}" (requested by ${next.displayName || next.username}) to the playlist`);
+    this.emit('requestPushed', next);
+  }
+
+  /**
+   * Stop tracking a pushed request
+   */
+  forget(entry) {
+    this.pushed = this.pushed.filter(other => other !== entry);
+  }
+
+  /**
+   * Forget everything (auto-DJ switched off)
+   */
+  reset() {
+    this.pushed = [];
+    this.skipped.clear();
+    this.setConnected(false);
+  }
+
+  /**
+   * Update the connection state and tell the control panel when it changes
+   */
+  setConnected(connected, error = null) {
+    if (connected === this.connected) return;
+    this.connected = connected;
+
+    if (connected) {
+      console.log('🎧 Auto-DJ connected to the REAPER playlist');
+    } else if (error) {
+      console.warn(`🎧 Auto-DJ can't reach REAPER's web interface: ${error}`);
+    }
+    this.emit('statusChanged', this.getStatus());
+  }
+
+  /**
+   * Get auto-DJ status (for the control panel)
+   */
+  getStatus() {
+    return {
+      enabled: !!config.get('autoDj.enabled'),
+      connected: this.connected,
+      pushed: this.pushed.map(entry => ({
+        requestId: entry.requestId,
+        title: entry.title,
+        playing: entry.seenPlaying
+      }))
+    };
+  }
+}
+
+module.exports = new AutoDJ();
@@ -0,0 +1,102 @@
+const config = require('./config');
+const gameEngine = require('./game-engine');
+const EventEmitter = require('events');
+
+class BitsManager extends EventEmitter {
+  constructor() {
+    super();
+    // Recently seen cheers: { key, time, sources: Set } - the same cheer is reported
+    // by every connected platform (Twitch, Streamlabs, StreamElements)
+    this.recentCheers = [];
+  }
+
+  /**
+   * Check if cheers trigger game actions
+   */
+  isEnabled() {
+    return !!config.get('bits.enabled');
+  }
+
+  /**
+   * Find the bits tier for an amount
+   * @returns {object|null} { minBits, maxBits, action, message }
+   */
+  findTier(bits) {
+    const tiers = config.get('bits.actions') || [];
+    return tiers.find(tier => {
+      const minOk = bits >= tier.minBits;
+      const maxOk = tier.maxBits === null || bits <= tier.maxBits;
+      return minOk && maxOk;
+    }) || null;
+  }
+
+  /**
+   * Check if another platform already reported this cheer
+   * A platform's own repeats are never duplicates (same user can cheer the same amount twice)
+   */
+  isDuplicate(login, bits, platform) {
+    const windowMs = (config.get('bits.dedupeWindowSeconds') ?? 30) * 1000;
+    const now = Date.now();
+    const key = `${(login || '').toLowerCase()}:${bits}`;
+
+    this.recentCheers = this.recentCheers.filter(cheer => now - cheer.time < windowMs);
+
+    const match = this.recentCheers.find(cheer => cheer.key === key && !cheer.sources.has(platform));
+    if (match) {
+      match.sources.add(platform);
+      return true;
+    }
+
+    this.recentCheers.push({ key, time: now, sources: new Set([platform]) });
+    return false;
+  }
+
+  /**
+   * Handle a cheer from any platform
+   * @param {string} username - Cheerer's name for messages
+   * @param {number} bits - Amount of bits
+   * @param {string} platform - 'twitch', 'streamlabs' or 'streamelements'
+   * @param {string} login - Twitch login, used to spot the same cheer from another platform
+   *   (Streamlabs and StreamElements report the login, Twitch messages use the display name)
+   * @returns {object|null} { action, result }, or null if no action was triggered
+   */
+  handleCheer(username, bits, platform, login = username) {
+    if (!this.isEnabled() || !(bits > 0)) return null;
+
+    if (this.isDuplicate(login, bits, platform)) {
+      console.log(`💎 Skipping duplicate cheer from ${platform}: ${username} - ${bits} bits`);
+      return null;
+    }
+
+    const tier = this.findTier(bits);
+    if (!tier) return null;
+
+    const result = gameEngine.processAction(tier.action, username, {
+      source: 'bits',
+      bits,
+      platform
+    });
+
+    // Rejections (e.g. per-user limits) announce the reason instead of the bits message
+    let message = '';
+    if (config.get('game.announcements.enabled')) {
+      message = ((result.success && tier.message) || result.message || '')
+        .replace('{user}', username)
+        .replace('{bits}', bits)
+        .replace('{rate}', result.newRate?.toFixed(2) || '');
+    }
+
+    this.emit('cheerProcessed', {
+      username,
+      bits,
+      platform,
+      action: tier.action,
+      success: result.success,
+      message
+    });
+
+    return { action: tier.action, result };
+  }
+}
+
+module.exports = new BitsManager();
@@ -0,0 +1,474 @@
+const config = require('./config');
+const gameEngine = require('./game-engine');
+const reaper = require('./reaper');
+const requests = require('./requests');
+const voting = require('./voting');
+const teams = require('./teams');
+const permissions = require('./permissions');
+const commands = require('./commands');
+const EventEmitter = require('events');
+
+// Load access denied jokes from JSON
+const accessDeniedJokes = require('./access-denied-jokes.json');
+
+// Commands that answer with an access denied joke, and commands that need song requests enabled
+const MOD_COMMANDS = ['playrate', 'testReaper', 'reaperCommands', 'undo'];
+const REQUEST_COMMANDS = ['songRequest', 'queue', 'cancelRequest'];
+
+/**
+ * Get a random access denied joke
+ */
+function getAccessDeniedJoke() {
+  const jokes = accessDeniedJokes.jokes;
+  return jokes[Math.floor(Math.random() * jokes.length)];
+}
+
+/**
+ * Chat commands for every chat platform
+ *
+ * A chat provider (Twitch, the test chat, ...) registers itself and passes incoming messages
+ * to handleMessage(). Providers implement:
+ *   name                   - Platform ID ('twitch', 'mock', ...)
+ *   label                  - Display name
+ *   isConnected()          - Whether messages can be sent right now
+ *   sendChat(text)         - Send a message to the channel's chat
+ *   getAvatarUrl(userId)   - Optional, async: profile picture for overlays
+ *   isFollower(userId)     - Optional, async: for follower-only song requests
+ */
+class ChatManager extends EventEmitter {
+  constructor() {
+    super();
+    this.providers = new Map();  // name -> provider
+    this.songsIndex = [];        // Will be set by server when loaded
+  }
+
+  /**
+   * Register a chat provider
+   */
+  register(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * Set the songs index for request matching
+   */
+  setSongsIndex(songs) {
+    this.songsIndex = songs || [];
+    console.log(`   Songs index loaded: ${this.songsIndex.length} songs`);
+  }
+
+  /**
+   * Send a message to every connected chat (game announcements)
+   * @param {string|null} platform - Platform that caused it; test chat rehearsals stay in the test chat
+   */
+  announce(message, platform = null) {
+    if (!message || !config.get('game.announcements.enabled')) return;
+
+    if (platform === 'mock') {
+      this.providers.get('mock')?.sendChat(message);
+      return;
+    }
+
+    for (const provider of this.providers.values()) {
+      if (provider.isConnected()) provider.sendChat(message);
+    }
+  }
+
+  /**
+   * Answer in the chat a command came from
+   */
+  reply(provider, message) {
+    if (!message || !config.get('game.announcements.enabled')) return;
+    provider.sendChat(message);
+  }
+
+  /**
+   * Get connection status of all chat providers
+   */
+  getStatus() {
+    return [...this.providers.values()].map(provider => ({
+      name: provider.name,
+      label: provider.label,
+      connected: provider.isConnected()
+    }));
+  }
+
+  /**
+   * Handle an incoming chat message from any provider
+   * @param {object} provider - The chat provider the message came from
+   * @param {object} message - { userId, username, displayName, roles, text }
+   *   roles: any of 'subscriber', 'vip', 'moderator', 'broadcaster'
+   */
+  async handleMessage(provider, message) {
+    const user = {
+      // Twitch IDs stay as they are; other platforms get their own namespace
+      id: provider.name === 'twitch' ? message.userId : `${provider.name}:${message.userId}`,
+      username: message.username,
+      displayName: message.displayName || message.username,
+      platformId: message.userId,
+      roles: message.roles || [],
+      platform: provider.name
+    };
+
+    const trimmedMsg = (message.text || '').trim();
+    const cmd = trimmedMsg.split(' ')[0].toLowerCase();
+
+    // Built-in and custom commands (!playrate, !sr, !queue, custom text commands...)
+    const command = commands.resolve(cmd);
+    if (command) {
+      await this.runCommand(command, provider, user, trimmedMsg);
+      return;
+    }
+
+    // Voting mode commands (!faster, !slower, !chaos...)
+    if (voting.isVoteCommand(cmd)) {
+      this.handleVoteCommand(provider, user, cmd);
+      return;
+    }
+
+    // Team commands (!fire, !ice)
+    if (teams.isJoinCommand(cmd)) {
+      this.handleTeamJoin(provider, user, cmd);
+    }
+  }
+
+  /**
+   * Run a command from the registry, after permission and cooldown checks
+   */
+  async runCommand(command, provider, user, message) {
+    // Commands of a switched-off feature stay quiet
+    if (REQUEST_COMMANDS.includes(command.id) && !config.get('requests.enabled')) return;
+    if (command.id === 'teamScore' && !teams.isEnabled()) return;
+
+    if (!commands.canUse(command, user)) {
+      if (MOD_COMMANDS.includes(command.id)) {
+        this.reply(provider, `@${user.displayName} ${getAccessDeniedJoke()}`);
+      } else if (command.id === 'songRequest') {
+        this.reply(provider, this.formatRequestMessage('notAllowed', { user: user.username }));
+      }
+      return;
+    }
+
+    if (!commands.tryUse(command, user)) return;
+
+    switch (command.id) {
+      case 'playrate':
+        await this.handlePlayrateCommand(provider, user, message);
+        break;
+      case 'testReaper':
+        this.handleTestReaperCommand(provider);
+        break;
+      case 'reaperCommands':
+        this.handleReaperCommandsCommand(provider);
+        break;
+      case 'undo':
+        this.handleUndoCommand(provider, user, message);
+        break;
+      case 'teamScore':
+        this.reply(provider, teams.getScoreMessage());
+        break;
+      case 'songRequest':
+        await this.handleSongRequest(provider, user, message);
+        break;
+      case 'queue':
+        this.handleQueueCheck(provider, user);
+        break;
+      case 'cancelRequest':
+        this.handleCancelRequest(provider, user);
+        break;
+      default:
+        this.reply(provider, await commands.formatResponse(command, user));
+    }
+  }
+
+  /**
+   * Fetch a chatter's avatar if the provider supports it
+   */
+  async getAvatarUrl(provider, user) {
+    if (!provider.getAvatarUrl) return null;
+    try {
+      return await provider.getAvatarUrl(user.platformId);
+    } catch (err) {
+      return null;  // Ignore avatar fetch errors
+    }
+  }
+
+  /**
+   * Handle !playrate command (mod command)
+   */
+  async handlePlayrateCommand(provider, user, message) {
+    // Parse the rate value
+    const parts = message.split(/\s+/);
+    if (parts.length < 2) {
+      this.reply(provider, `@${user.displayName} 🎸 You call that a command?! Give me a number! !playrate <0.5-4.0> — Don't leave the riff hanging! 🤘`);
+      return;
+    }
+
+    const rate = parseFloat(parts[1]);
+    const avatarUrl = await this.getAvatarUrl(provider, user);
+
+    // Process the action
+    const result = gameEngine.setPlayrateDirect(user.displayName, rate, {
+      source: 'modCommand',
+      avatarUrl,
+      isModerator: user.roles.includes('moderator'),
+      isBroadcaster: user.roles.includes('broadcaster')
+    });
+
+    this.reply(provider, result.message);
+  }
+
+  /**
+   * Handle !testreaper command (mod command)
+   */
+  handleTestReaperCommand(provider) {
+    const reaperConfig = config.get('reaper');
+    const isConnected = reaper.connected;
+    const currentPlayrate = reaper.getPlayrate();
+    const currentBpm = reaper.getBpm();
+
+    if (isConnected) {
+      this.reply(provider, `🤘 THE REAPER LIVES! Shredding at ${currentPlayrate.toFixed(2)}x | ${currentBpm} BPM | Port ${reaperConfig.sendPort} — LET'S GOOOO! 🔥`);
+    } else {
+      this.reply(provider, `💀 THE REAPER IS SILENT... OSC connection dead on port ${reaperConfig.sendPort}. Someone wake up the sound guy!`);
+    }
+  }
+
+  /**
+   * Handle !reapercommands command (mod command)
+   */
+  handleReaperCommandsCommand(provider) {
+    const gameConfig = config.get('game');
+    const minRate = gameConfig.minPlayrate;
+    const maxRate = gameConfig.maxPlayrate;
+
+    // Use the configured names and leave out disabled commands
+    const arsenal = [
+      ['playrate', `<${minRate}-${maxRate}> (command the tempo)`],
+      ['testReaper', '(summon the REAPER)'],
+      ['undo', '[n] (rewind the last n actions)'],
+      ['reaperCommands', '(this grimoire 📜)']
+    ]
+      .map(([id, description]) => {
+        const command = commands.getBuiltin(id);
+        return command?.triggers[0] ? `${command.triggers[0]} ${description}` : null;
+      })
+      .filter(Boolean);
+
+    this.reply(provider, `⚔️ MOD ARSENAL: ${arsenal.join(' | ')} 🤘`);
+  }
+
+  /**
+   * Handle !undo [n] command (mod command)
+   */
+  handleUndoCommand(provider, user, message) {
+    const count = parseInt(message.split(/\s+/)[1]) || 1;
+    const result = gameEngine.undo(count, user.displayName, { source: 'modCommand' });
+
+    this.reply(provider, result.message);
+  }
+
+  /**
+   * Handle vote command (voting mode)
+   */
+  handleVoteCommand(provider, user, cmd) {
+    if (!permissions.canUse('vote', user)) return;
+
+    const result = voting.castVote(user.id, user.displayName, cmd, user.platform);
+
+    // Vote start and results are announced via voting events; only report cooldowns here
+    if (!result.success && result.reason === 'cooldown') {
+      this.reply(provider, result.message);
+    }
+  }
+
+  /**
+   * Handle team join command (!fire / !ice)
+   */
+  handleTeamJoin(provider, user, cmd) {
+    if (!permissions.canUse('teamJoin', user)) return;
+
+    const result = teams.joinTeam(user.displayName, teams.getTeamForCommand(cmd));
+    this.reply(provider, result.message);
+  }
+
+  /**
+   * Handle song request command
+   */
+  async handleSongRequest(provider, user, message) {
+    const username = user.username;
+
+    // Extract song query (everything after the command)
+    const query = message.replace(/^!\S+\s*/, '').trim();
+
+    if (!query) {
+      // Show current request if no query
+      this.handleQueueCheck(provider, user);
+      return;
+    }
+
+    // Build user info
+    const userInfo = {
+      displayName: user.displayName,
+      isSubscriber: user.roles.includes('subscriber'),
+      isBroadcaster: user.roles.includes('broadcaster'),
+      isMod: user.roles.includes('moderator'),
+      roles: user.roles,
+      avatarUrl: null
+    };
+
+    // Check user requirements
+    const isFollower = provider.isFollower ? () => provider.isFollower(user.platformId) : null;
+    const checkResult = await requests.checkUserRequirements(user.id, username, userInfo, isFollower);
+
+    if (!checkResult.allowed) {
+      this.reply(provider, checkResult.reason);
+      return;
+    }
+
+    // "!sr 2" picks from the last "did you mean" list, anything else is a search
+    let song = requests.takePendingChoice(user.id, query);
+
+    if (!song) {
+      const maxSuggestions = config.get('requests.search.maxSuggestions') || 3;
+      const results = requests.rankSongs(query, this.songsIndex, maxSuggestions);
+
+      if (results.length === 0) {
+        this.reply(provider, this.formatRequestMessage('notFound', { user: username, query }));
+        return;
+      }
+
+      if (requests.isAmbiguous(results)) {
+        const songs = results.map(result => result.song);
+        requests.setPendingChoice(user.id, songs);
+        this.reply(provider, this.formatRequestMessage('didYouMean', {
+          user: username,
+          query,
+          command: message.split(/\s+/)[0].toLowerCase(),
+          options: songs.map((option, i) => `${i + 1}) ${option.t} - ${option.a}`).join(' ')
+        }));
+        return;
+      }
+
+      song = results[0].song;
+    }
+
+    // Song rules: blacklist, allowlist, streamer-only songs, replay cooldown, duplicates
+    const songCheck = requests.checkSongRules(user.id, song, userInfo);
+    if (!songCheck.allowed) {
+      this.reply(provider, this.formatRequestMessage(songCheck.reason, {
+        user: username,
+        title: song.t,
+        artist: song.a,
+        minutes: songCheck.minutes
+      }));
+      return;
+    }
+
+    userInfo.avatarUrl = await this.getAvatarUrl(provider, user);
+
+    // Add request
+    const result = requests.addRequest(user.id, username, song, userInfo);
+
+    if (result.success) {
+      const msgType = result.edited ? 'requestEdited' : 'requestAdded';
+      const msg = this.formatRequestMessage(msgType, {
+        user: username,
+        title: song.t,
+        artist: song.a,
+        position: requests.getUserPosition(user.id)
+      });
+      this.reply(provider, msg);
+      this.emit('requestAdded', result.request);
+    } else {
+      this.reply(provider, result.message);
+    }
+  }
+
+  /**
+   * Handle queue check command
+   */
+  handleQueueCheck(provider, user) {
+    const userRequest = requests.getUserRequest(user.id);
+
+    if (userRequest) {
+      const position = requests.getUserPosition(user.id);
+      this.reply(provider, this.formatRequestMessage('currentRequest', {
+        user: user.username,
+        title: userRequest.songTitle,
+        artist: userRequest.songArtist,
+        position
+      }));
+    } else {
+      this.reply(provider, this.formatRequestMessage('noRequest', { user: user.username }));
+    }
+  }
+
+  /**
+   * Handle cancel request command
+   */
+  handleCancelRequest(provider, user) {
+    const result = requests.removeRequest(user.id);
+
+    if (result.success) {
+      this.reply(provider, this.formatRequestMessage('requestCancelled', { user: user.username }));
+      this.emit('requestRemoved', result.request);
+    } else {
+      this.reply(provider, this.formatRequestMessage('noRequest', { user: user.username }));
+    }
+  }
+
+  /**
+   * Bump a viewer's request to the paid lane (channel point reward, donation or Super Chat)
+   * @param {object|null} provider - Chat provider to reply on (null = announce everywhere)
+   * @param {string} user - User ID or name the request was made under
+   * @param {string} username - Name to address in chat
+   * @param {string} source - 'channelPoints', 'donation', ...
+   * @returns {object} Result from requests.bumpRequest
+   */
+  bumpRequest(provider, user, username, source) {
+    const result = requests.bumpRequest(user, source);
+    const send = message => provider ? this.reply(provider, message) : this.announce(message);
+
+    if (result.success) {
+      console.log(`⏫ ${username} bumped "${result.request.songTitle}" to #${result.position} (${source})`);
+      send(this.formatRequestMessage('requestBumped', {
+        user: username,
+        title: result.request.songTitle,
+        artist: result.request.songArtist,
+        tier: result.tier.label || result.tier.id,
+        position: result.position
+      }));
+      this.emit('requestBumped', result.request);
+    } else if (source === 'channelPoints') {
+      // Donations without a request are just donations - only redeemers hear why nothing happened
+      if (result.reason === 'noRequest') {
+        send(this.formatRequestMessage('noRequest', { user: username }));
+      } else if (result.reason === 'alreadyBumped') {
+        send(this.formatRequestMessage('alreadyBumped', { user: username, tier: result.tier.label || result.tier.id }));
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Bump the donor's request if the donation reaches requests.priority.bump.donationMinAmount
+   * @returns {object|null} Bump result, or null if the donation is too small (or bumps are off)
+   */
+  bumpForDonation(user, username, amount) {
+    const minAmount = config.get('requests.priority.bump.donationMinAmount') || 0;
+    if (minAmount <= 0 || !(amount >= minAmount)) return null;
+    return this.bumpRequest(null, user, username, 'donation');
+  }
+
+  /**
+   * Format request-related chat message
+   */
+  formatRequestMessage(type, data) {
+    const template = config.get(`requests.messages.${type}`) || '';
+    return template.replace(/\{(\w+)\}/g, (match, key) => data[key] ?? match);
+  }
+}
+
+module.exports = new ChatManager();
@@ -0,0 +1,164 @@
+const config = require('./config');
+const reaper = require('./reaper');
+const requests = require('./requests');
+const playlist = require('./playlist');
+const permissions = require('./permissions');
+
+// Built-in chat commands handled by chat.js
+// Names, aliases and cooldowns live under `commands.builtin.<id>`, who can use them under `commandPermissions.<id>`
+const BUILTIN_COMMANDS = {
+  playrate: { label: 'Set playrate' },
+  testReaper: { label: 'Test REAPER' },
+  reaperCommands: { label: 'Mod command list' },
+  undo: { label: 'Undo' },
+  teamScore: { label: 'Team score' },
+  songRequest: { label: 'Song request' },
+  queue: { label: 'Queue position' },
+  cancelRequest: { label: 'Cancel request' }
+};
+
+class CommandRegistry {
+  constructor() {
+    this.lastUsed = new Map(); // command id -> timestamp, for per-command cooldowns
+  }
+
+  /**
+   * Get a built-in command definition, or null if unknown/disabled
+   * @param {string} id - Command ID (e.g. 'playrate', 'songRequest')
+   */
+  getBuiltin(id) {
+    if (!Object.prototype.hasOwnProperty.call(BUILTIN_COMMANDS, id)) return null;
+
+    const settings = config.get(`commands.builtin.${id}`) || {};
+    if (settings.enabled === false) return null;
+
+    return {
+      id,
+      label: BUILTIN_COMMANDS[id].label,
+      builtin: true,
+      triggers: this.normalizeTriggers(settings.name, settings.aliases),
+      cooldownSeconds: settings.cooldownSeconds || 0
+    };
+  }
+
+  /**
+   * Get the enabled custom text commands
+   */
+  getCustomCommands() {
+    return (config.get('commands.custom') || [])
+      .filter(custom => custom.enabled && custom.name && custom.response)
+      .map(custom => ({
+        id: `custom:${custom.name.toLowerCase()}`,
+        label: custom.name,
+        builtin: false,
+        triggers: this.normalizeTriggers(custom.name, custom.aliases),
+        cooldownSeconds: custom.cooldownSeconds || 0,
+        response: custom.response,
+        roles: Array.isArray(custom.roles) ? custom.roles : ['everyone']
+      }));
+  }
+
+  /**
+   * Turn a name + aliases into lowercase '!command' triggers
+   */
+  normalizeTriggers(name, aliases = []) {
+    return [name, ...(aliases || [])]
+      .filter(Boolean)
+      .map(trigger => trigger.trim().toLowerCase())
+      .map(trigger => trigger.startsWith('!') ? trigger : `!${trigger}`);
+  }
+
+  /**
+   * Find the command a chat message starts with
+   * Built-in commands win over custom commands with the same trigger
+   * @param {string} cmd - First word of the message, lowercased (e.g. '!sr')
+   * @returns {object|null} Command definition
+   */
+  resolve(cmd) {
+    for (const id of Object.keys(BUILTIN_COMMANDS)) {
+      const command = this.getBuiltin(id);
+      if (command?.triggers.includes(cmd)) return command;
+    }
+
+    return this.getCustomCommands().find(command => command.triggers.includes(cmd)) || null;
+  }
+
+  /**
+   * Check if a chatter may use a command (roles, allow/block lists)
+   */
+  canUse(command, user) {
+    if (command.builtin) return permissions.canUse(command.id, user);
+    return permissions.check({ roles: command.roles, allow: [], deny: [] }, user);
+  }
+
+  /**
+   * Check and start a command's cooldown
+   * Mods and the broadcaster skip cooldowns
+   * @returns {boolean} True if the command can run now
+   */
+  tryUse(command, user) {
+    if (!command.cooldownSeconds) return true;
+
+    const roles = permissions.getUserRoles(user);
+    if (roles.includes('moderator') || roles.includes('broadcaster')) return true;
+
+    const now = Date.now();
+    const lastUsed = this.lastUsed.get(command.id) || 0;
+    if (now - lastUsed < command.cooldownSeconds * 1000) {
+      console.log(`⏳ ${command.triggers[0]} on cooldown`);
+      return false;
+    }
+
+    this.lastUsed.set(command.id, now);
+    return true;
+  }
+
+  /**
+   * Build a custom command's reply
+   * Variables: {user}, {rate}, {bpm}, {song}, {nextRequest}, {queue}, {min}, {max}
+   */
+  async formatResponse(command, user) {
+    const next = requests.getNextRequest();
+
+    // Only ask REAPER for the playing song when the reply uses it
+    let song = 'nothing';
+    if (command.response.includes('{song}')) {
+      const current = await playlist.getCurrentSong();
+      if (current) song = `${current.title} by ${current.artist}`;
+    }
+
+    const data = {
+      user: user.displayName,
+      rate: reaper.getPlayrate().toFixed(2),
+      bpm: String(reaper.getBpm()),
+      song,
+      nextRequest: next ? `${next.songTitle} by ${next.songArtist}` : 'nothing',
+      queue: String(requests.getQueue().length),
+      min: String(config.get('game.minPlayrate')),
+      max: String(config.get('game.maxPlayrate'))
+    };
+
+    return command.response.replace(/\{(\w+)\}/g, (match, key) => data[key] ?? match);
+  }
+
+  /**
+   * List all commands (for the config panel)
+   */
+  list() {
+    const builtin = Object.keys(BUILTIN_COMMANDS).map(id => {
+      const settings = config.get(`commands.builtin.${id}`) || {};
+      return {
+        id,
+        label: BUILTIN_COMMANDS[id].label,
+        enabled: settings.enabled !== false,
+        name: settings.name || '',
+        aliases: settings.aliases || [],
+        cooldownSeconds: settings.cooldownSeconds || 0
+      };
+    });
+
+    return { builtin, custom: config.get('commands.custom') || [] };
+  }
+}
+
+module.exports = new CommandRegistry();
@@ -3,6 +3,9 @@ const path = require('path');
 
 const CONFIG_FILE = path.join(__dirname, '..', 'config.json');
 
+// Deferred saves wait this long, so bursts of changes are written once
+const SAVE_DELAY_MS = 2000;
+
 const defaultConfig = {
   // Server settings
   webPort: 9030,
@@ -11,7 +14,8 @@ const defaultConfig = {
   reaper: {
     host: '127.0.0.1',
     sendPort: 8000,      // Port REAPER listens on
-    receivePort: 9000    // Port we listen on for REAPER responses
+    receivePort: 9000,   // Port we listen on for REAPER responses
+    webUrl: 'http://127.0.0.1:8080'  // REAPER web interface (Preferences → Control/OSC/Web), for the playlist script
   },
 
   // Twitch settings
@@ -22,7 +26,12 @@ const defaultConfig = {
     refreshToken: '',
     broadcasterId: '',
     broadcasterName: '',
-    botName: ''  // Usually same as broadcaster
+
+    // Optional separate bot account for chat (empty = chat as the broadcaster)
+    botName: '',
+    botUserId: '',
+    botAccessToken: '',
+    botRefreshToken: ''
   },
 
   // Streamlabs settings
@@ -35,6 +44,23 @@ const defaultConfig = {
     jwtToken: ''
   },
 
+  // YouTube Live chat (commands + song requests from YouTube viewers)
+  youtube: {
+    enabled: false,
+    clientId: '',            // Google Cloud OAuth client (Web application)
+    clientSecret: '',
+    accessToken: '',
+    refreshToken: '',
+    tokenExpiresAt: 0,
+    channelName: '',         // Filled in when you connect
+    pollIntervalSeconds: 5,  // Minimum time between chat polls (each poll uses API quota)
+    superChats: true,        // Super Chats and Super Stickers trigger the donation tiers
+    currency: 'USD',         // Currency of the donation tiers
+    // Value of one unit of another currency in the tiers' currency, e.g. { EUR: 1.08, JPY: 0.0067 }
+    // Super Chats in other currencies without a rate here don't trigger tiers
+    exchangeRates: {}
+  },
+
   // Game settings
   game: {
     enabled: false,
@@ -61,6 +87,36 @@ const defaultConfig = {
       seconds: 5
     },
 
+    // Per-user limits: stop one viewer from monopolizing the tempo (applies to every source)
+    userLimits: {
+      enabled: false,
+      cooldownSeconds: {        // Per user, per action type ('default' covers the rest)
+        default: 30,
+        chaos: 120,
+        reset: 60
+      },
+      maxPerStream: 0,          // Actions per user per stream (0 = unlimited)
+      exemptBroadcaster: true,
+      exemptModerators: true
+    },
+
+    // Undo: mods roll back recent actions with !undo [n]
+    undo: {
+      enabled: true,
+      maxSteps: 10,             // Most actions a single !undo can revert
+      refundRedemptions: false, // Refund the channel points of undone redemptions
+      refundWindowSeconds: 60   // Redemptions stay unfulfilled this long so they can still be refunded
+    },
+
+    // Hype Train escalation: each level raises the max playrate and discounts speed ups
+    hypeTrain: {
+      enabled: true,
+      maxPlayrateStep: 0.25,        // Max playrate raised by this per level
+      maxPlayrateCap: 4.0,          // Never raised above this (REAPER tops out at 4x)
+      speedUpDiscountPerLevel: 0.1, // Speed up reward 10% cheaper per level
+      maxDiscount: 0.5              // Never cheaper than half price
+    },
+
     // Measure-sync mode: Wait for measure end before changing speed
     measureSync: {
       enabled: false,           // Toggle measure-sync mode
@@ -69,6 +125,62 @@ const defaultConfig = {
       showVisualCountdown: true // Show countdown on GameHUD
     },
 
+    // Playrate ramps: glide to the new rate instead of jumping (not used in measure-sync mode)
+    ramp: {
+      enabled: false,
+      stepMs: 50,               // How often intermediate rates are sent to REAPER
+      // Profiles are picked by action name, falling back to 'default'
+      // unit: 'beats' | 'seconds', easing: 'linear' | 'easeIn' | 'exponential'
+      profiles: {
+        default: { unit: 'beats', length: 4, easing: 'linear' },
+        chaos: { unit: 'seconds', length: 1, easing: 'exponential' },
+        reset: { unit: 'beats', length: 8, easing: 'easeIn' }
+      }
+    },
+
+    // Chat voting mode: chat votes during a window, the winner is applied when it closes
+    voting: {
+      enabled: false,
+      windowSeconds: 30,        // How long each vote stays open
+      cooldownSeconds: 15,      // Pause after a vote before the next one can start
+      minVotes: 1,              // Minimum votes for the result to count
+      allowChangeVote: true,    // Voting again switches your vote
+      options: [
+        { command: '!faster', action: 'speedUp' },
+        { command: '!slower', action: 'slowDown' },
+        { command: '!chaos', action: 'chaos' }
+      ],
+      messages: {
+        started: '🗳️ {user} started a VOTE! {seconds}s to decide: {options}',
+        winner: '🗳️ The pit has spoken! {option} wins with {votes}/{total} votes — {rate}x! 🤘',
+        notEnoughVotes: '🗳️ Vote closed with only {votes} vote(s) (need {min}). The tempo survives... for now.',
+        cooldown: '@{user} 🗳️ Voting booth is closed for {seconds}s. Catch your breath!'
+      }
+    },
+
+    // Fire vs Ice teams: speed ups push Team Fire, slow downs push Team Ice
+    teams: {
+      enabled: false,
+      joinCommands: {
+        fire: ['!fire', '!teamfire'],
+        ice: ['!ice', '!teamice']
+      },
+      autoJoinOnAction: true,   // First speed up/slow down picks your team
+      pointsPerAction: 1,
+      endSongOnStop: true,      // Transport stop = end of song (winner announced)
+      labels: {
+        fire: '🔥 TEAM FIRE',
+        ice: '🧊 TEAM ICE'
+      },
+      messages: {
+        joined: '@{user} joined {team}! Every push counts. 🤘',
+        alreadyOnTeam: '@{user} You already swore allegiance to {team}. No traitors in this pit!',
+        songWinner: '🏆 {team} wins the song {points} to {otherPoints}! Score: 🔥 {fireWins} — 🧊 {iceWins}',
+        songTie: '⚖️ A perfect stalemate at {points} each! Score: 🔥 {fireWins} — 🧊 {iceWins}',
+        score: '🔥 TEAM FIRE {fireWins} — {iceWins} TEAM ICE 🧊 | This song: 🔥 {firePoints} vs 🧊 {icePoints}'
+      }
+    },
+
     // Chat announcements
     announcements: {
       enabled: true,
@@ -80,11 +192,24 @@ const defaultConfig = {
       maxReached: '💀 WE\'RE ALREADY BLASTING AT MAXIMUM OVERDRIVE! Even Dragonforce can\'t shred faster than this!',
       minReached: '🪦 Any slower and we\'re playing funeral doom! The tempo has been buried alive.',
       cooldownActive: '⏳ Chill for {seconds}s, moshpit needs to recover! Even metalheads need a breather between breakdowns.',
+      userCooldown: '⏳ @{user} your {action} is still recharging — {seconds}s left! 🤘',
+      undo: '⏪ {user} rewound {count} action(s) — back to {rate}x. That never happened. 🤘',
+      undoQueued: '⏳⏪ {user} rewound {count} action(s) — back to {rate}x at the end of the bar!',
+      frozen: '🥶 The tempo is FROZEN for {seconds}s more! Your move will have to wait.',
+      effectExpired: '⌛ {effect} wore off — back to {rate}x!',
+      undoNothing: '⏪ @{user} Nothing to undo — the timeline is clean.',
+      userQuotaReached: '🛑 @{user} you\'ve thrown all {max} of your moves this stream. Let the rest of the pit have a go!',
+      hypeTrainStarted: '🚂 HYPE TRAIN! Max playrate raised to {max}x and Speed Up is {discount}% off! ALL ABOARD! 🤘',
+      hypeTrainLevel: '🚂 Hype Train LEVEL {level}! Max playrate now {max}x, Speed Up {discount}% off! 🔥',
+      hypeTrainEnded: '🚂 The Hype Train pulled in at level {level}! Max playrate back to {max}x.',
       // Measure-sync queued announcements
       speedUpQueued: '⏳🔥 {user} queued {rate}x — INCOMING SPEED UP! Brace yourselves! 🤘',
       slowDownQueued: '⏳🧊 {user} queued {rate}x — INCOMING SLOWDOWN! Doom approaches... 🎸',
       chaosQueued: '⏳🎲 {user} summoned CHAOS at {rate}x — THE STORM IS COMING! 💀',
-      resetQueued: '⏳⚡ {user} called for order at {rate}x — Reset incoming... ✨'
+      resetQueued: '⏳⚡ {user} called for order at {rate}x — Reset incoming... ✨',
+      // Queued redemptions that never played get their channel points back
+      queuedSuperseded: '↩️ @{user} your {action} got overtaken before it played — points refunded!',
+      queuedCancelled: '↩️ @{user} your queued {action} was called off — points refunded!'
     }
   },
 
@@ -133,6 +258,10 @@ const defaultConfig = {
       rewardId: null
     },
 
+    // Pause rewards when game mode is turned off instead of deleting them
+    // (false = delete and recreate them every stream)
+    pauseWhenDisabled: true,
+
     // Dynamic pricing settings
     dynamicPricing: {
       enabled: true,
@@ -147,7 +276,99 @@ const defaultConfig = {
     }
   },
 
-  // Donation thresholds (Streamlabs)
+  // Custom game actions
+  // Usable anywhere a built-in action is: channel points, donation tiers, /api/action
+  // type: 'set' (exact rate), 'adjust' (add value, proportionally scaled), 'multiply' (rate * value)
+  // minRate/maxRate: optional bounds, narrower than game.minPlayrate/maxPlayrate
+  customActions: {
+    halfTime: {
+      enabled: false,
+      label: 'Half Time',
+      icon: '🐢',
+      type: 'multiply',
+      value: 0.5,
+      minRate: null,
+      maxRate: null,
+      message: '🐢 {user} dropped it to HALF TIME! {rate}x — feel the sludge. 🎸',
+      queuedMessage: '⏳🐢 {user} queued HALF TIME at {rate}x — the sludge approaches...',
+      reward: {
+        enabled: true,
+        title: '🐢 Half Time',
+        baseCost: 2000,
+        cost: 2000,
+        cooldownSeconds: 60,
+        maxPerStream: 0,
+        backgroundColor: '#6644FF',
+        rewardId: null
+      }
+    },
+    snapOverdrive: {
+      enabled: false,
+      label: 'Overdrive 1.25x',
+      icon: '⚡',
+      type: 'set',
+      value: 1.25,
+      minRate: null,
+      maxRate: null,
+      message: '⚡ {user} snapped it to {rate}x — OVERDRIVE ENGAGED! 🤘',
+      queuedMessage: '⏳⚡ {user} queued OVERDRIVE at {rate}x — strap in!',
+      reward: {
+        enabled: true,
+        title: '⚡ Overdrive 1.25x',
+        baseCost: 1000,
+        cost: 1000,
+        cooldownSeconds: 30,
+        maxPerStream: 0,
+        backgroundColor: '#FFCC00',
+        rewardId: null
+      }
+    },
+    // Timed effects: durationSeconds makes any action temporary
+    doubleTime: {
+      enabled: false,
+      label: 'Double Time (30s)',
+      icon: '⏩',
+      type: 'multiply',
+      value: 2,
+      durationSeconds: 30,      // Playrate goes back to where it was when this ends
+      minRate: null,
+      maxRate: null,
+      message: '⏩ {user} unleashed DOUBLE TIME for {seconds}s! {rate}x — HANG ON! 🤘',
+      queuedMessage: '⏳⏩ {user} queued DOUBLE TIME at {rate}x for {seconds}s — brace!',
+      expiredMessage: '⌛ Double time is over — back to {rate}x. Breathe.',
+      reward: {
+        enabled: true,
+        title: '⏩ Double Time (30s)',
+        baseCost: 3000,
+        cost: 3000,
+        cooldownSeconds: 120,
+        maxPerStream: 0,
+        backgroundColor: '#FF0066',
+        rewardId: null
+      }
+    },
+    freeze: {
+      enabled: false,
+      label: 'Tempo Freeze (2 min)',
+      icon: '🥶',
+      type: 'freeze',
+      durationSeconds: 120,     // No viewer can change the playrate while frozen
+      message: '🥶 {user} FROZE the tempo at {rate}x for {seconds}s! Nobody touches it. 🤘',
+      expiredMessage: '🔓 The tempo thaws — channel points are back in play!',
+      reward: {
+        enabled: true,
+        title: '🥶 Tempo Freeze (2 min)',
+        baseCost: 5000,
+        cost: 5000,
+        cooldownSeconds: 300,
+        maxPerStream: 0,
+        backgroundColor: '#66CCFF',
+        rewardId: null
+      }
+    }
+  },
+
+  // Donation thresholds (Streamlabs, StreamElements, YouTube Super Chats)
   donations: {
     enabled: true,
     actions: [
@@ -158,6 +379,89 @@ const defaultConfig = {
     ]
   },
 
+  // Bits tiers (cheers via Twitch, Streamlabs or StreamElements)
+  bits: {
+    enabled: true,
+    dedupeWindowSeconds: 30,  // The same cheer reported by several platforms only triggers once
+    actions: [
+      { minBits: 100, maxBits: 499, action: 'speedUp', message: '💎 {user} cheered {bits} bits - Speed up! {rate}x' },
+      { minBits: 500, maxBits: 999, action: 'slowDown', message: '💎 {user} cheered {bits} bits - Slow down! {rate}x' },
+      { minBits: 1000, maxBits: 2499, action: 'chaos', message: '💎 {user} cheered {bits} bits - CHAOS MODE! {rate}x' },
+      { minBits: 2500, maxBits: null, action: 'reset', message: '💎 {user} cheered {bits} bits - Reset! {rate}x' }
+    ]
+  },
+
+  // Chat commands
+  commands: {
+    // Built-in commands: rename, add aliases, disable or give them a cooldown (seconds, mods skip it)
+    builtin: {
+      playrate: { enabled: true, name: '!playrate', aliases: [], cooldownSeconds: 0 },
+      testReaper: { enabled: true, name: '!testreaper', aliases: [], cooldownSeconds: 0 },
+      reaperCommands: { enabled: true, name: '!reapercommands', aliases: ['!reaperhelp'], cooldownSeconds: 0 },
+      undo: { enabled: true, name: '!undo', aliases: [], cooldownSeconds: 0 },
+      teamScore: { enabled: true, name: '!teams', aliases: [], cooldownSeconds: 10 },
+      songRequest: { enabled: true, name: '!request', aliases: ['!sr', '!songrequest'], cooldownSeconds: 0 },
+      queue: { enabled: true, name: '!queue', aliases: ['!position', '!myrequest', '!song'], cooldownSeconds: 0 },
+      cancelRequest: { enabled: true, name: '!cancel', aliases: ['!cancelrequest'], cooldownSeconds: 0 }
+    },
+    // Custom text commands
+    // response variables: {user}, {rate}, {bpm}, {song} (playing now), {nextRequest} (top of the request queue), {queue} (queue length), {min}, {max}
+    // roles: same as commandPermissions
+    custom: [
+      {
+        enabled: true,
+        name: '!bpm',
+        aliases: ['!tempo'],
+        response: '🥁 {bpm} BPM at {rate}x',
+        roles: ['everyone'],
+        cooldownSeconds: 10
+      }
+    ]
+  },
+
+  // Who can use each chat command
+  // roles: 'everyone', 'subscriber', 'vip', 'moderator', 'broadcaster' (the broadcaster can always use everything)
+  // allow: usernames always allowed, deny: usernames never allowed (beats roles and allow)
+  commandPermissions: {
+    playrate: { roles: ['moderator', 'broadcaster'], allow: [], deny: [] },
+    testReaper: { roles: ['moderator', 'broadcaster'], allow: [], deny: [] },
+    reaperCommands: { roles: ['moderator', 'broadcaster'], allow: [], deny: [] },
+    undo: { roles: ['moderator', 'broadcaster'], allow: [], deny: [] },
+    vote: { roles: ['everyone'], allow: [], deny: [] },
+    teamJoin: { roles: ['everyone'], allow: [], deny: [] },
+    teamScore: { roles: ['everyone'], allow: [], deny: [] },
+    songRequest: { roles: ['everyone'], allow: [], deny: [] },
+    queue: { roles: ['everyone'], allow: [], deny: [] },
+    cancelRequest: { roles: ['everyone'], allow: [], deny: [] }
+  },
+
+  // Sub / raid / follow triggers (via Streamlabs / StreamElements)
+  streamEvents: {
+    enabled: true,
+    raid: {
+      enabled: true,
+      minViewers: 5,            // Smaller raids don't trigger an action
+      action: 'chaos',
+      message: '🚨 {user} raided with {viewers} viewers - CHAOS MODE! {rate}x'
+    },
+    subscription: {
+      enabled: false,
+      action: 'speedUp',
+      message: '⭐ {user} subscribed - Speed up! {rate}x'
+    },
+    giftSubs: {
+      enabled: true,
+      incrementPerSub: 0.05,    // Playrate increase per gifted sub
+      maxIncrement: 1.0,        // Cap for huge sub bombs
+      message: '🎁 {user} gifted {count} sub(s) - +{increment}x! {rate}x'
+    },
+    follow: {
+      enabled: true,
+      hudEffect: 'hearts',      // GameHUD effect: 'hearts', 'confetti', 'lightning', 'flash' or 'none'
+      message: ''               // Optional chat thank-you ({user})
+    }
+  },
+
   // Song request settings
   requests: {
     enabled: false,
@@ -174,41 +478,110 @@ const defaultConfig = {
     // Edit behavior
     allowEdit: true,          // Users can edit their request without losing spot
 
+    // Song search
+    search: {
+      minScore: 45,             // Ignore weaker matches (exact title = 120)
+      ambiguityMargin: 10,      // Ask "did you mean" when the runner-up scores this close to the best match
+      maxSuggestions: 3,        // Options listed in a "did you mean" reply
+      choiceTimeoutSeconds: 60  // How long "!sr <number>" picks from the list
+    },
+
+    // Per-song rules (the broadcaster is exempt)
+    // Lists match song IDs from the songs index or artist names (case and accents ignored)
+    songRules: {
+      replayCooldownMinutes: 0,   // A played request can't be requested again for this long (0 = off)
+      maxDuplicatesInQueue: 0,    // Requests for the same song allowed in the queue at once (0 = no limit)
+      blacklist: { songIds: [], artists: [] },     // Never requestable
+      allowlist: { songIds: [], artists: [] },     // If not empty, only these songs can be requested
+      streamerOnly: { songIds: [], artists: [] }   // Only the broadcaster can request these
+    },
+
+    // Priority lanes: the queue plays lane by lane (first lane first), oldest request first within a lane
+    priority: {
+      enabled: false,
+      // A request joins the first lane matching one of the requester's roles
+      // (everyone, subscriber, vip, moderator, broadcaster)
+      tiers: [
+        { id: 'paid', label: 'Paid', roles: [] },               // Only reached by a bump
+        { id: 'vip', label: 'VIP', roles: ['vip'] },
+        { id: 'subscriber', label: 'Sub', roles: ['subscriber'] },
+        { id: 'everyone', label: '', roles: ['everyone'] }
+      ],
+      bump: {
+        tier: 'paid',             // Lane a bumped request moves to
+        donationMinAmount: 0,     // Donations/Super Chats of at least this much bump the donor's request (0 = off)
+        // Channel point reward that bumps the redeemer's request (refunded if they have none)
+        reward: {
+          enabled: false,
+          title: 'Bump My Song Request',
+          cost: 2000,
+          cooldownSeconds: 0,
+          maxPerStream: 0,
+          backgroundColor: '#FFB636',
+          rewardId: null
+        }
+      }
+    },
+
+    // Persistence: the queue and cooldowns are saved to requests_queue.json
+    restoreOnStartup: true,   // Restore the queue after a restart or crash
+    restoreMaxAgeHours: 6,    // Older queues are only restored from the control panel
+
     // Channel points (0 = free)
     channelPointsCost: 0,
 
-    // Command settings
-    command: '!request',
-    aliases: ['!sr', '!songrequest'],
-
     // Chat messages
     messages: {
       requestAdded: '🎵 @{user} Added "{title}" by {artist} to the queue (position #{position})',
       requestEdited: '🎵 @{user} Updated request to "{title}" by {artist} (position #{position})',
       notFound: '@{user} Could not find a song matching "{query}". Try being more specific!',
+      didYouMean: '@{user} Did you mean {options}? Type {command} <number> to pick one.',
       disabled: '@{user} Song requests are currently disabled.',
       subOnly: '@{user} Song requests are subscriber-only.',
+      notAllowed: '@{user} You don\'t have permission to request songs.',
       followerOnly: '@{user} You must follow the channel to request songs.',
       cooldown: '@{user} Cooldown active. Try again in {minutes} minute(s).',
       queueFull: '@{user} Request queue is full. Please try again later.',
       currentRequest: '@{user} Your current request: "{title}" by {artist} (position #{position})',
       noRequest: '@{user} You don\'t have a song in the queue.',
       queuePosition: '@{user} "{title}" is at position #{position}',
+      songBlacklisted: '@{user} "{title}" can\'t be requested.',
+      songNotAllowed: '@{user} "{title}" isn\'t on the request list.',
+      songStreamerOnly: '@{user} "{title}" is reserved for the streamer.',
+      songCooldown: '@{user} "{title}" was played recently. It can be requested again in {minutes} minute(s).',
+      songDuplicate: '@{user} "{title}" is already in the queue.',
+      requestBumped: '⏫ @{user} "{title}" was bumped to the {tier} lane (position #{position})',
+      alreadyBumped: '@{user} Your request is already in the {tier} lane.',
       queueEmpty: 'The request queue is empty! Use !request <song> to add one.',
       requestCancelled: '@{user} Your request has been removed from the queue.'
     }
+  },
+
+  // Auto-DJ: push the request queue into the REAPER playlist (HYD-LivePerformanceServer.lua)
+  autoDj: {
+    enabled: false,
+    pollIntervalMs: 1000
+  },
+
+  // Session recording: every game action and playrate change is saved to sessions/
+  sessions: {
+    enabled: true,
+    maxSessions: 100          // Oldest session files are deleted beyond this (0 = keep all)
   }
 };
 
 class Config {
   constructor() {
     this.data = this.load();
+    this.overrides = {};  // Temporary values, never saved: 'game.maxPlayrate' -> 5.0
+    this.saveTimer = null;  // Pending deferred save
   }
 
   load() {
     try {
       if (fs.existsSync(CONFIG_FILE)) {
         const saved = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+        this.migrate(saved);
         // Deep merge with defaults to handle new config options
         return this.deepMerge(defaultConfig, saved);
       }
@@ -218,7 +591,30 @@ class Config {
     return { ...defaultConfig };
   }
 
+  /**
+   * Move settings that changed place in older config files
+   */
+  migrate(saved) {
+    // Song request and team score command names moved to `commands.builtin`
+    const builtin = {};
+    if (saved.requests?.command) {
+      builtin.songRequest = { name: saved.requests.command, aliases: saved.requests.aliases || [] };
+      delete saved.requests.command;
+      delete saved.requests.aliases;
+    }
+    if (saved.game?.teams?.scoreCommand) {
+      builtin.teamScore = { name: saved.game.teams.scoreCommand };
+      delete saved.game.teams.scoreCommand;
+    }
+    if (Object.keys(builtin).length > 0) {
+      saved.commands = this.deepMerge({ builtin }, saved.commands || {});
+    }
+  }
+
   save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
     try {
       fs.writeFileSync(CONFIG_FILE, JSON.stringify(this.data, null, 2));
       return true;
@@ -229,16 +625,52 @@ class Config {
   }
 
   get(key) {
+    if (key in this.overrides) return this.overrides[key];
+
     const keys = key.split('.');
     let value = this.data;
     for (const k of keys) {
       if (value === undefined) return undefined;
       value = value[k];
     }
-    return value;
+
+    // Parent objects (e.g. get('game')) see overridden children too
+    const prefix = key + '.';
+    const nested = Object.keys(this.overrides).filter(k => k.startsWith(prefix));
+    if (nested.length === 0 || !(value instanceof Object)) return value;
+
+    const copy = structuredClone(value);
+    for (const overrideKey of nested) {
+      const path = overrideKey.slice(prefix.length).split('.');
+      let obj = copy;
+      for (let i = 0; i < path.length - 1; i++) {
+        if (obj[path[i]] === undefined) obj[path[i]] = {};
+        obj = obj[path[i]];
+      }
+      obj[path[path.length - 1]] = this.overrides[overrideKey];
+    }
+    return copy;
+  }
+
+  /**
+   * Temporarily override a setting (not saved, not shown in the config panel)
+   */
+  setOverride(key, value) {
+    this.overrides[key] = value;
+  }
+
+  /**
+   * Remove a temporary override
+   */
+  clearOverride(key) {
+    delete this.overrides[key];
   }
 
-  set(key, value) {
+  /**
+   * Set a value and save
+   * @param {object} options - { deferSave: batch the write with other changes in the next few seconds }
+   */
+  set(key, value, options = {}) {
     const keys = key.split('.');
     let obj = this.data;
     for (let i = 0; i < keys.length - 1; i++) {
@@ -246,7 +678,19 @@ class Config {
       obj = obj[keys[i]];
     }
     obj[keys[keys.length - 1]] = value;
-    this.save();
+
+    if (options.deferSave) {
+      if (!this.saveTimer) this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY_MS);
+    } else {
+      this.save();
+    }
+  }
+
+  /**
+   * Write a deferred save now (on shutdown)
+   */
+  flush() {
+    if (this.saveTimer) this.save();
   }
 
   getAll() {
@@ -1,14 +1,34 @@
 const config = require('./config');
 const reaper = require('./reaper');
+const actions = require('./actions');
 const EventEmitter = require('events');
 
+// Highest playrate REAPER's /playrate accepts - anything above plays at 4x
+const REAPER_MAX_PLAYRATE = 4.0;
+
 class GameEngine extends EventEmitter {
   constructor() {
     super();
     this.lastActionTime = 0;
     this.autoResetTimer = null;
     this.actionHistory = [];
-    this.lastPriceUpdate = 0;
+
+    // Per-user usage for this stream: lowercase username -> { total, lastUsed: { action: timestamp } }
+    this.userUsage = new Map();
+
+    // Active timed effects (oldest first) and the countdown tick that expires them
+    this.activeEffects = [];
+    this.effectsTimer = null;
+    this.nextEffectId = 1;
+
+    // Running hype train: { level, progress, goal, expiresAt, startedAt }
+    this.hypeTrain = null;
+
+    // Effects queued through measure-sync start counting once the change actually plays
+    reaper.on('speedChangeExecuted', () => this.startPendingEffects());
+    // A cancelled or superseded change never plays, so its effects have nothing to revert
+    reaper.on('speedChangeCancelled', (change) => this.dropPendingEffects(change.id));
+    reaper.on('speedChangeSuperseded', (change) => this.dropPendingEffects(change.id));
   }
 
   /**
@@ -21,12 +41,16 @@ class GameEngine extends EventEmitter {
     const pricing = rewardsConfig.dynamicPricing || {};
 
     if (!pricing.enabled) {
-      return {
+      const prices = {
         speedUp: rewardsConfig.speedUp?.baseCost || 500,
         slowDown: rewardsConfig.slowDown?.baseCost || 500,
         chaos: rewardsConfig.chaos?.baseCost || 2500,
         reset: rewardsConfig.reset?.baseCost || 1500
       };
+      for (const { action, reward } of this.getCustomRewardEntries()) {
+        prices[action] = reward.baseCost || 1000;
+      }
+      return this.applyHypeTrainDiscount(prices);
     }
 
     const scaleFactor = pricing.scaleFactor || 1.5;
@@ -79,36 +103,64 @@ class GameEngine extends EventEmitter {
     // Calculate final prices
     const clamp = (val) => Math.round(Math.min(maxCost, Math.max(minCost, val)));
 
-    return {
+    const prices = {
       speedUp: clamp((rewardsConfig.speedUp?.baseCost || 500) * speedUpMultiplier),
       slowDown: clamp((rewardsConfig.slowDown?.baseCost || 500) * slowDownMultiplier),
       chaos: clamp((rewardsConfig.chaos?.baseCost || 2500) * chaosMultiplier),
       reset: clamp((rewardsConfig.reset?.baseCost || 1500) * resetMultiplier)
     };
+
+    // Custom actions scale like chaos (pricier the further from 1.0x)
+    for (const { action, reward } of this.getCustomRewardEntries()) {
+      prices[action] = clamp((reward.baseCost || 1000) * chaosMultiplier);
+    }
+
+    return this.applyHypeTrainDiscount(prices);
+  }
+
+  /**
+   * Discount the speed up reward while a hype train is running
+   */
+  applyHypeTrainDiscount(prices) {
+    const discount = this.getHypeTrainDiscount();
+    if (discount > 0 && prices.speedUp) {
+      prices.speedUp = Math.max(1, Math.round(prices.speedUp * (1 - discount)));
+    }
+    return prices;
+  }
+
+  /**
+   * Get reward entries for enabled custom actions
+   */
+  getCustomRewardEntries() {
+    return actions.getRewardEntries().filter(entry => entry.available && !actions.isBuiltin(entry.action));
   }
 
   /**
    * Update reward prices and emit event for Twitch update
+   * Twitch updates go through the Helix queue, which coalesces rapid price changes per reward
+   * @param {object} options - { force: update even if dynamic pricing is off }
    */
-  updatePrices(playrate) {
+  updatePrices(playrate, options = {}) {
     const rewardsConfig = config.get('rewards');
-    if (!rewardsConfig.dynamicPricing?.enabled) return null;
-
-    // Throttle updates to avoid API spam (max once per 2 seconds)
-    const now = Date.now();
-    if (now - this.lastPriceUpdate < 2000) return null;
-    this.lastPriceUpdate = now;
+    if (!rewardsConfig.dynamicPricing?.enabled && !options.force) return null;
 
     const newPrices = this.calculateDynamicPrices(playrate);
 
-    // Update config with new prices
-    config.set('rewards.speedUp.cost', newPrices.speedUp);
-    config.set('rewards.slowDown.cost', newPrices.slowDown);
-    config.set('rewards.chaos.cost', newPrices.chaos);
-    config.set('rewards.reset.cost', newPrices.reset);
+    // Update config with the prices that changed
+    const changed = {};
+    for (const [action, cost] of Object.entries(newPrices)) {
+      const definition = actions.get(action);
+      if (definition && config.get(`${definition.rewardPath}.cost`) !== cost) {
+        config.set(`${definition.rewardPath}.cost`, cost, { deferSave: true });
+        changed[action] = cost;
+      }
+    }
 
     // Emit event for Twitch module to update rewards
-    this.emit('pricesUpdated', newPrices);
+    if (Object.keys(changed).length > 0) {
+      this.emit('pricesUpdated', changed);
+    }
 
     return newPrices;
   }
@@ -129,6 +181,7 @@ class GameEngine extends EventEmitter {
 
     if (!enabled) {
       this.clearAutoReset();
+      this.clearEffects();
     }
 
     return enabled;
@@ -157,11 +210,86 @@ class GameEngine extends EventEmitter {
     return Math.max(0, Math.ceil(remaining));
   }
 
+  /**
+   * Check if a user is exempt from per-user limits
+   * @param {object} options - Action options (source, isBroadcaster, isModerator)
+   */
+  isExemptFromUserLimits(options = {}) {
+    const limits = config.get('game.userLimits') || {};
+
+    // Control panel and chat votes aren't a single viewer, raids are a one-off
+    if (options.source === 'manual' || options.source === 'vote' || options.source === 'raid') return true;
+    if (options.isBroadcaster && limits.exemptBroadcaster) return true;
+    if (options.isModerator && limits.exemptModerators) return true;
+    return false;
+  }
+
+  /**
+   * Check per-user cooldown and per-stream quota
+   * @returns {object|null} Failure result, or null if the user may act
+   */
+  checkUserLimits(action, username, options = {}) {
+    const limits = config.get('game.userLimits') || {};
+    if (!limits.enabled || !username || this.isExemptFromUserLimits(options)) return null;
+
+    const usage = this.userUsage.get(username.toLowerCase());
+    if (!usage) return null;
+
+    if (limits.maxPerStream > 0 && usage.total >= limits.maxPerStream) {
+      return {
+        success: false,
+        reason: 'userQuota',
+        message: this.formatMessage('userQuotaReached', { user: username, max: limits.maxPerStream })
+      };
+    }
+
+    const cooldowns = limits.cooldownSeconds || {};
+    const cooldownSeconds = cooldowns[action] ?? cooldowns.default ?? 0;
+    const lastUsed = usage.lastUsed[action] || 0;
+    const remaining = Math.ceil(cooldownSeconds - (Date.now() - lastUsed) / 1000);
+
+    if (cooldownSeconds > 0 && remaining > 0) {
+      return {
+        success: false,
+        reason: 'userCooldown',
+        message: this.formatMessage('userCooldown', {
+          user: username,
+          action: actions.get(action)?.label || action,
+          seconds: remaining
+        }),
+        cooldownRemaining: remaining
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Record a successful action against the user's cooldown and quota
+   */
+  recordUserAction(action, username, options = {}) {
+    if (!username || this.isExemptFromUserLimits(options)) return;
+
+    const key = username.toLowerCase();
+    const usage = this.userUsage.get(key) || { total: 0, lastUsed: {} };
+    usage.total++;
+    usage.lastUsed[action] = Date.now();
+    this.userUsage.set(key, usage);
+  }
+
+  /**
+   * Clear per-user cooldowns and quotas (new stream)
+   */
+  resetUserLimits() {
+    this.userUsage.clear();
+    console.log('🎮 Per-user limits reset');
+  }
+
   /**
    * Process an action request
-   * @param {string} action - 'speedUp', 'slowDown', 'chaos', 'reset'
+   * @param {string} action - 'speedUp', 'slowDown', 'chaos', 'reset' or a custom action name
    * @param {string} username - User who triggered the action
-   * @param {object} options - Additional options (source: 'channelPoints' | 'donation')
+   * @param {object} options - Additional options (source: 'channelPoints' | 'donation', isBroadcaster, isModerator, increment)
    * @returns {object} Result with success status and message
    */
   processAction(action, username, options = {}) {
@@ -169,6 +297,23 @@ class GameEngine extends EventEmitter {
       return { success: false, reason: 'disabled', message: 'Game mode is not active' };
     }
 
+    const limitResult = this.checkUserLimits(action, username, options);
+    if (limitResult) {
+      return limitResult;
+    }
+
+    // A freeze locks the tempo for everyone but the control panel
+    const freeze = this.getActiveFreeze();
+    if (freeze && options.source !== 'manual') {
+      const remaining = Math.ceil((freeze.endsAt - Date.now()) / 1000);
+      return {
+        success: false,
+        reason: 'frozen',
+        message: this.formatMessage('frozen', { seconds: remaining }),
+        cooldownRemaining: remaining
+      };
+    }
+
     if (this.isOnCooldown()) {
       const remaining = this.getCooldownRemaining();
       return {
@@ -181,13 +326,14 @@ class GameEngine extends EventEmitter {
 
     let result;
     const rewardConfig = config.get(`rewards.${action}`);
+    const previousRate = reaper.getTargetPlayrate();
 
     switch (action) {
       case 'speedUp':
-        result = this.speedUp(username, rewardConfig?.increment || 0.1);
+        result = this.speedUp(username, options.increment || rewardConfig?.increment || 0.1);
         break;
       case 'slowDown':
-        result = this.slowDown(username, rewardConfig?.increment || 0.1);
+        result = this.slowDown(username, options.increment || rewardConfig?.increment || 0.1);
         break;
       case 'chaos':
         result = this.chaos(username);
@@ -195,15 +341,38 @@ class GameEngine extends EventEmitter {
       case 'reset':
         result = this.reset(username);
         break;
-      default:
-        return { success: false, reason: 'unknown', message: 'Unknown action' };
+      default: {
+        const definition = actions.get(action);
+        if (!definition) {
+          return { success: false, reason: 'unknown', message: 'Unknown action' };
+        }
+        result = this.customAction(definition, username);
+        if (result.success && definition.durationSeconds > 0) {
+          result.effect = this.startEffect(definition, username, result, previousRate, options.platform);
+        }
+        break;
+      }
     }
 
     if (result.success) {
       this.lastActionTime = Date.now();
-      this.addToHistory(action, username, result.newRate, options.source);
+      this.recordUserAction(action, username, options);
+      this.addToHistory(action, username, result.newRate, options.source, {
+        previousRate,
+        effectId: result.effect?.id,
+        redemption: options.redemptionId ? { id: options.redemptionId, rewardId: options.rewardId } : null
+      });
       this.scheduleAutoReset();
-      this.emit('actionProcessed', { action, username, ...result, source: options.source, avatarUrl: options.avatarUrl });
+      this.emit('actionProcessed', {
+        action,
+        username,
+        ...result,
+        icon: actions.get(action)?.icon,
+        source: options.source,
+        bits: options.bits,
+        avatarUrl: options.avatarUrl,
+        platform: options.platform
+      });
 
       // Update dynamic prices based on new playrate
       const newPrices = this.updatePrices(result.newRate);
@@ -226,7 +395,7 @@ class GameEngine extends EventEmitter {
 
     // Apply proportional scaling based on current BPM
     const scaledIncrement = reaper.getScaledIncrement(increment);
-    const currentRate = reaper.getPlayrate();
+    const currentRate = reaper.getTargetPlayrate();
     const newRate = Math.round((currentRate + scaledIncrement) * 100) / 100;
 
     // Check if measure-sync mode is enabled
@@ -254,7 +423,7 @@ class GameEngine extends EventEmitter {
     }
 
     // Immediate execution
-    const actualNewRate = reaper.adjustPlayrate(scaledIncrement);
+    const actualNewRate = reaper.adjustPlayrate(scaledIncrement, { ramp: 'speedUp' });
 
     return {
       success: true,
@@ -278,7 +447,7 @@ class GameEngine extends EventEmitter {
 
     // Apply proportional scaling based on current BPM
     const scaledIncrement = reaper.getScaledIncrement(increment);
-    const currentRate = reaper.getPlayrate();
+    const currentRate = reaper.getTargetPlayrate();
     const newRate = Math.round((currentRate - scaledIncrement) * 100) / 100;
 
     // Check if measure-sync mode is enabled
@@ -306,7 +475,7 @@ class GameEngine extends EventEmitter {
     }
 
     // Immediate execution
-    const actualNewRate = reaper.adjustPlayrate(-scaledIncrement);
+    const actualNewRate = reaper.adjustPlayrate(-scaledIncrement, { ramp: 'slowDown' });
 
     return {
       success: true,
@@ -347,7 +516,7 @@ class GameEngine extends EventEmitter {
     }
 
     // Immediate execution
-    const actualNewRate = reaper.setRandomPlayrate();
+    const actualNewRate = reaper.setRandomPlayrate({ ramp: 'chaos' });
     return {
       success: true,
       action: 'chaos',
@@ -381,7 +550,7 @@ class GameEngine extends EventEmitter {
     }
 
     // Immediate execution
-    const newRate = reaper.resetPlayrate();
+    const newRate = reaper.resetPlayrate({ ramp: 'reset' });
     return {
       success: true,
       action: 'reset',
@@ -390,6 +559,88 @@ class GameEngine extends EventEmitter {
     };
   }
 
+  /**
+   * Run a custom action defined in config.customActions
+   * @param {object} definition - Action definition from the registry
+   * @param {string} username - User who triggered the action
+   */
+  customAction(definition, username) {
+    const seconds = String(definition.durationSeconds || '');
+
+    // Freeze doesn't touch the playrate - the timed effect does the locking
+    if (definition.type === 'freeze') {
+      const rate = reaper.getTargetPlayrate();
+      return {
+        success: true,
+        action: definition.name,
+        newRate: rate,
+        message: this.formatTemplate(definition.message, { user: username, rate: rate.toFixed(2), seconds }) ||
+                 `${definition.icon} ${username} froze the tempo at ${rate.toFixed(2)}x for ${seconds}s!`
+      };
+    }
+
+    const gameConfig = config.get('game');
+    const min = Math.max(gameConfig.minPlayrate, definition.minRate ?? gameConfig.minPlayrate);
+    const max = Math.min(gameConfig.maxPlayrate, definition.maxRate ?? gameConfig.maxPlayrate);
+    const currentRate = reaper.getTargetPlayrate();
+
+    let targetRate;
+    switch (definition.type) {
+      case 'set':
+        targetRate = definition.value;
+        break;
+      case 'adjust':
+        targetRate = currentRate + reaper.getScaledIncrement(definition.value);
+        break;
+      case 'multiply':
+        targetRate = currentRate * definition.value;
+        break;
+    }
+
+    const newRate = Math.round(Math.max(min, Math.min(max, targetRate)) * 100) / 100;
+
+    // Nothing to do - already at the target or pinned against a bound
+    if (isNaN(newRate) || Math.abs(newRate - currentRate) < 0.01) {
+      const reason = targetRate > currentRate ? 'maxReached' : targetRate < currentRate ? 'minReached' : 'noChange';
+      return {
+        success: false,
+        reason,
+        message: reason === 'noChange' ? '' : this.formatMessage(reason, { user: username })
+      };
+    }
+
+    // Check if measure-sync mode is enabled
+    const measureSyncConfig = config.get('game.measureSync') || {};
+    if (measureSyncConfig.enabled && reaper.isMeasureSyncEnabled()) {
+      // Queue the change instead of immediate execution
+      reaper.queueSpeedChange(
+        newRate,
+        measureSyncConfig.warningBeats || 4,
+        measureSyncConfig.preCountBars || 1
+      );
+
+      return {
+        success: true,
+        action: definition.name,
+        newRate: newRate,
+        queued: true,
+        warningBeats: measureSyncConfig.warningBeats || 4,
+        message: this.formatTemplate(definition.queuedMessage, { user: username, rate: newRate.toFixed(2), seconds }) ||
+                 `${definition.icon} ${definition.label} to ${newRate.toFixed(2)}x incoming!`
+      };
+    }
+
+    // Immediate execution
+    const actualNewRate = reaper.setPlayrate(newRate, { ramp: definition.name });
+    return {
+      success: true,
+      action: definition.name,
+      newRate: actualNewRate,
+      message: this.formatTemplate(definition.message, { user: username, rate: actualNewRate.toFixed(2), seconds }) ||
+               `${definition.icon} ${username} triggered ${definition.label}: ${actualNewRate.toFixed(2)}x`
+    };
+  }
+
   /**
    * Set playrate to an exact value (mod command)
    * @param {string} username - User who triggered the action
@@ -409,10 +660,17 @@ class GameEngine extends EventEmitter {
       };
     }
 
-    const newRate = reaper.setPlayrate(rate);
+    const limitResult = this.checkUserLimits('setPlayrate', username, options);
+    if (limitResult) {
+      return limitResult;
+    }
+
+    const previousRate = reaper.getTargetPlayrate();
+    const newRate = reaper.setPlayrate(rate, { ramp: 'setPlayrate' });
 
     this.lastActionTime = Date.now();
-    this.addToHistory('setPlayrate', username, newRate, options.source || 'modCommand');
+    this.recordUserAction('setPlayrate', username, options);
+    this.addToHistory('setPlayrate', username, newRate, options.source || 'modCommand', { previousRate });
     this.scheduleAutoReset();
     this.emit('actionProcessed', {
       action: 'setPlayrate',
@@ -434,12 +692,429 @@ class GameEngine extends EventEmitter {
     };
   }
 
+  /**
+   * Revert the last n game actions, restoring the playrate from before them
+   * @param {number} count - Number of actions to undo
+   * @param {string} username - Who requested the undo
+   * @param {object} options - Additional options (source)
+   * @returns {object} Result with success status and message
+   */
+  undo(count, username, options = {}) {
+    const undoConfig = config.get('game.undo') || {};
+    if (undoConfig.enabled === false) {
+      return { success: false, reason: 'disabled', message: '' };
+    }
+
+    const maxSteps = undoConfig.maxSteps || 10;
+    count = Math.max(1, Math.min(maxSteps, parseInt(count) || 1));
+
+    // Newest first; undo entries and already-undone actions are skipped
+    const entries = this.actionHistory
+      .filter(entry => !entry.undone && entry.previousRate !== undefined)
+      .slice(0, count);
+
+    if (entries.length === 0) {
+      return {
+        success: false,
+        reason: 'nothingToUndo',
+        message: this.formatMessage('undoNothing', { user: username })
+      };
+    }
+
+    const targetRate = entries[entries.length - 1].previousRate;
+    entries.forEach(entry => {
+      entry.undone = true;
+      // Undone timed effects end without restoring anything - the undo sets the rate
+      if (entry.effectId) this.removeEffect(entry.effectId);
+    });
+
+    // A queued change that hasn't played yet is simply dropped
+    if (reaper.hasPendingChange()) {
+      reaper.cancelPendingChange();
+    }
+
+    let newRate = targetRate;
+    let queued = false;
+    if (Math.abs(reaper.getTargetPlayrate() - targetRate) >= 0.01) {
+      ({ newRate, queued } = this.applyRate(targetRate, 'undo'));
+    }
+
+    this.addToHistory('undo', username, newRate, options.source || 'modCommand');
+    this.scheduleAutoReset();
+
+    const result = {
+      success: true,
+      action: 'undo',
+      newRate,
+      queued,
+      count: entries.length,
+      undone: entries,
+      message: this.formatMessage(queued ? 'undoQueued' : 'undo', {
+        user: username,
+        count: String(entries.length),
+        rate: newRate.toFixed(2)
+      })
+    };
+
+    console.log(`⏪ ${username} undid ${entries.length} action(s) → ${newRate}x`);
+    this.emit('actionsUndone', { username, entries, newRate, queued });
+    this.emit('actionProcessed', {
+      action: 'undo',
+      username,
+      newRate,
+      queued,
+      count: entries.length,
+      message: result.message,
+      icon: '⏪',
+      source: options.source || 'modCommand'
+    });
+
+    const newPrices = this.updatePrices(newRate);
+    if (newPrices) {
+      result.prices = newPrices;
+    }
+
+    return result;
+  }
+
+  /**
+   * Move to a playrate, queued through measure-sync when it's enabled
+   * @param {number} rate - Target playrate
+   * @param {string} ramp - Ramp profile for immediate changes
+   * @returns {object} { newRate, queued }
+   */
+  applyRate(rate, ramp) {
+    const measureSyncConfig = config.get('game.measureSync') || {};
+    if (measureSyncConfig.enabled && reaper.isMeasureSyncEnabled()) {
+      reaper.queueSpeedChange(
+        rate,
+        measureSyncConfig.warningBeats || 4,
+        measureSyncConfig.preCountBars || 1
+      );
+      return { newRate: rate, queued: true };
+    }
+
+    return { newRate: reaper.setPlayrate(rate, { ramp }), queued: false };
+  }
+
+  // ============================================================================
+  // HYPE TRAIN
+  // ============================================================================
+
+  /**
+   * Start or update the hype train (raises the max playrate and discounts speed ups per level)
+   * @param {number} level - Current hype train level
+   * @param {object} info - { progress, goal, expiresAt }
+   * @returns {object|null} Hype train state, or null if escalation is off
+   */
+  setHypeTrainLevel(level, info = {}) {
+    if (!config.get('game.hypeTrain.enabled') || !this.isEnabled()) return null;
+
+    const started = !this.hypeTrain;
+    const levelChanged = started || level !== this.hypeTrain.level;
+
+    this.hypeTrain = {
+      level,
+      progress: info.progress ?? 0,
+      goal: info.goal ?? 0,
+      expiresAt: info.expiresAt || null,
+      startedAt: this.hypeTrain?.startedAt || Date.now()
+    };
+
+    let message = null;
+    if (levelChanged) {
+      // Recalculate from the saved max so panel changes mid-train still count
+      config.clearOverride('game.maxPlayrate');
+      config.setOverride('game.maxPlayrate', this.getHypeTrainMaxPlayrate(level));
+      this.updatePrices(reaper.getTargetPlayrate(), { force: true });
+
+      const data = {
+        level: String(level),
+        max: config.get('game.maxPlayrate').toFixed(2),
+        discount: String(Math.round(this.getHypeTrainDiscount() * 100))
+      };
+      message = this.formatMessage(started ? 'hypeTrainStarted' : 'hypeTrainLevel', data);
+      console.log(`🚂 Hype train level ${level}: max ${data.max}x, speed up ${data.discount}% off`);
+    }
+
+    this.emit('hypeTrainUpdated', { ...this.getHypeTrainState(), started, levelChanged, message });
+    return this.getHypeTrainState();
+  }
+
+  /**
+   * End the hype train and restore normal limits and prices
+   * @returns {object|null} { level, maxPlayrate, newRate, queued, message }
+   */
+  endHypeTrain() {
+    if (!this.hypeTrain) return null;
+
+    const level = this.hypeTrain.level;
+    this.hypeTrain = null;
+    config.clearOverride('game.maxPlayrate');
+    this.updatePrices(reaper.getTargetPlayrate(), { force: true });
+
+    // Bring the playrate back under the normal max
+    const maxPlayrate = config.get('game.maxPlayrate');
+    let newRate = reaper.getTargetPlayrate();
+    let queued = false;
+    if (this.isEnabled() && newRate > maxPlayrate) {
+      ({ newRate, queued } = this.applyRate(maxPlayrate, 'reset'));
+    }
+
+    const message = this.formatMessage('hypeTrainEnded', { level: String(level), max: maxPlayrate.toFixed(2) });
+    console.log(`🚂 Hype train ended at level ${level}`);
+
+    const data = { level, maxPlayrate, newRate, queued, message };
+    this.emit('hypeTrainEnded', data);
+    return data;
+  }
+
+  /**
+   * Max playrate for a hype train level (never above what REAPER can play)
+   */
+  getHypeTrainMaxPlayrate(level) {
+    const hypeConfig = config.get('game.hypeTrain') || {};
+    const baseMax = config.get('game.maxPlayrate');
+    const raised = baseMax + level * (hypeConfig.maxPlayrateStep || 0);
+    const cap = Math.max(baseMax, Math.min(hypeConfig.maxPlayrateCap || baseMax, REAPER_MAX_PLAYRATE));
+    return Math.round(Math.min(raised, cap) * 100) / 100;
+  }
+
+  /**
+   * Current speed up discount (0-1)
+   */
+  getHypeTrainDiscount() {
+    if (!this.hypeTrain) return 0;
+    const hypeConfig = config.get('game.hypeTrain') || {};
+    const discount = Math.min(hypeConfig.maxDiscount ?? 0.5, this.hypeTrain.level * (hypeConfig.speedUpDiscountPerLevel || 0));
+    return Math.round(discount * 100) / 100;
+  }
+
+  /**
+   * Get hype train state for the API and overlays
+   */
+  getHypeTrainState() {
+    if (!this.hypeTrain) return { active: false };
+    return {
+      active: true,
+      ...this.hypeTrain,
+      maxPlayrate: config.get('game.maxPlayrate'),
+      discount: this.getHypeTrainDiscount()
+    };
+  }
+
+  // ============================================================================
+  // TIMED EFFECTS
+  // ============================================================================
+
+  /**
+   * Start a timed effect for a custom action with durationSeconds
+   * @param {object} definition - Action definition from the registry
+   * @param {string} username - User who triggered the action
+   * @param {object} result - Result of the action
+   * @param {number} previousRate - Playrate before the action (restored when it ends)
+   * @param {string|null} platform - Chat platform that triggered it (its expiry is announced there)
+   * @returns {object} Serialized effect
+   */
+  startEffect(definition, username, result, previousRate, platform = null) {
+    const effect = {
+      id: this.nextEffectId++,
+      action: definition.name,
+      label: definition.label,
+      icon: definition.icon,
+      kind: definition.type === 'freeze' ? 'freeze' : 'rate',
+      username,
+      rate: result.newRate,
+      restoreRate: previousRate,
+      durationMs: definition.durationSeconds * 1000,
+      expiredMessage: definition.expiredMessage,
+      platform,
+      pending: !!result.queued,  // Waiting for measure-sync to play the change
+      changeId: result.queued ? reaper.getPendingChange()?.id ?? null : null,
+      startedAt: null,
+      endsAt: null
+    };
+
+    if (!effect.pending) {
+      this.activateEffect(effect);
+    }
+
+    this.activeEffects.push(effect);
+    this.startEffectsTick();
+
+    console.log(`⏱️ ${effect.label} started by ${username} (${definition.durationSeconds}s)`);
+    this.emit('effectsUpdated', this.getEffectsState());
+    return this.serializeEffect(effect);
+  }
+
+  /**
+   * Start an effect's countdown
+   */
+  activateEffect(effect) {
+    effect.pending = false;
+    effect.startedAt = Date.now();
+    effect.endsAt = effect.startedAt + effect.durationMs;
+  }
+
+  /**
+   * Start countdowns of effects whose queued change just played
+   */
+  startPendingEffects() {
+    const pending = this.activeEffects.filter(effect => effect.pending);
+    if (pending.length === 0) return;
+
+    pending.forEach(effect => this.activateEffect(effect));
+    this.emit('effectsUpdated', this.getEffectsState());
+  }
+
+  /**
+   * Drop effects whose queued change was cancelled or replaced before it played
+   * @param {number} changeId - The measure-sync change that won't play
+   */
+  dropPendingEffects(changeId) {
+    const before = this.activeEffects.length;
+    this.activeEffects = this.activeEffects.filter(effect => !effect.pending || effect.changeId !== changeId);
+    if (this.activeEffects.length !== before) {
+      this.afterEffectsChanged();
+    }
+  }
+
+  /**
+   * Tick every second so overlays can show the countdown and effects expire on time
+   */
+  startEffectsTick() {
+    if (this.effectsTimer) return;
+
+    this.effectsTimer = setInterval(() => {
+      const now = Date.now();
+      const expired = this.activeEffects.filter(effect => !effect.pending && effect.endsAt <= now);
+      expired.forEach(effect => this.expireEffect(effect.id));
+
+      if (expired.length === 0) {
+        this.emit('effectsUpdated', this.getEffectsState());
+      }
+    }, 1000);
+  }
+
+  /**
+   * End an effect and revert what it did
+   * @param {number} id - Effect ID
+   * @returns {object|null} { effect, newRate, queued, message } or null if not active
+   */
+  expireEffect(id) {
+    const effect = this.activeEffects.find(e => e.id === id);
+    if (!effect) return null;
+
+    this.activeEffects = this.activeEffects.filter(e => e.id !== id);
+
+    let newRate = reaper.getTargetPlayrate();
+    let queued = false;
+
+    if (effect.kind === 'rate') {
+      // Effects stack: if a newer rate effect is still running, it inherits our restore point
+      const newer = this.activeEffects.find(e => e.kind === 'rate' && e.id > effect.id);
+      if (newer) {
+        newer.restoreRate = effect.restoreRate;
+      } else if (Math.abs(newRate - effect.restoreRate) >= 0.01) {
+        ({ newRate, queued } = this.applyRate(effect.restoreRate, 'reset'));
+      }
+    }
+
+    const message = this.formatTemplate(effect.expiredMessage, { rate: newRate.toFixed(2) }) ||
+                    this.formatMessage('effectExpired', { effect: `${effect.icon} ${effect.label}`, rate: newRate.toFixed(2) });
+
+    console.log(`⏱️ ${effect.label} ended (${newRate}x)`);
+    this.emit('effectExpired', { effect: this.serializeEffect(effect), newRate, queued, message, platform: effect.platform });
+    this.afterEffectsChanged();
+
+    if (!queued) {
+      this.updatePrices(newRate);
+    }
+
+    return { effect: this.serializeEffect(effect), newRate, queued, message };
+  }
+
+  /**
+   * Remove an effect without reverting anything
+   */
+  removeEffect(id) {
+    const before = this.activeEffects.length;
+    this.activeEffects = this.activeEffects.filter(e => e.id !== id);
+    if (this.activeEffects.length !== before) {
+      this.afterEffectsChanged();
+    }
+  }
+
+  /**
+   * Remove all effects without reverting anything
+   */
+  clearEffects() {
+    if (this.activeEffects.length === 0) return;
+    this.activeEffects = [];
+    this.afterEffectsChanged();
+  }
+
+  /**
+   * Broadcast the new stack and stop ticking / resume auto-reset once it's empty
+   */
+  afterEffectsChanged() {
+    if (this.activeEffects.length === 0) {
+      clearInterval(this.effectsTimer);
+      this.effectsTimer = null;
+      this.scheduleAutoReset();
+    }
+    this.emit('effectsUpdated', this.getEffectsState());
+  }
+
+  /**
+   * Get the running freeze effect (if any)
+   */
+  getActiveFreeze() {
+    return this.activeEffects.find(effect => effect.kind === 'freeze' && !effect.pending) || null;
+  }
+
+  /**
+   * Public view of an effect
+   */
+  serializeEffect(effect) {
+    return {
+      id: effect.id,
+      action: effect.action,
+      label: effect.label,
+      icon: effect.icon,
+      kind: effect.kind,
+      username: effect.username,
+      rate: effect.rate,
+      restoreRate: effect.restoreRate,
+      pending: effect.pending,
+      duration: Math.round(effect.durationMs / 1000),
+      remaining: effect.pending ? Math.round(effect.durationMs / 1000) : Math.max(0, Math.ceil((effect.endsAt - Date.now()) / 1000)),
+      endsAt: effect.endsAt
+    };
+  }
+
+  /**
+   * Get the active effects for broadcasting
+   */
+  getEffectsState() {
+    return {
+      effects: this.activeEffects.map(effect => this.serializeEffect(effect)),
+      frozen: !!this.getActiveFreeze()
+    };
+  }
+
   /**
    * Format announcement message with placeholders
    */
   formatMessage(type, data) {
-    const template = config.get(`game.announcements.${type}`) || '';
-    return template.replace(/\{(\w+)\}/g, (match, key) => data[key] || match);
+    return this.formatTemplate(config.get(`game.announcements.${type}`), data);
+  }
+
+  /**
+   * Fill {placeholders} in a message template
+   */
+  formatTemplate(template, data) {
+    return (template || '').replace(/\{(\w+)\}/g, (match, key) => data[key] || match);
   }
 
   /**
@@ -452,9 +1127,12 @@ class GameEngine extends EventEmitter {
     this.clearAutoReset();
 
     this.autoResetTimer = setTimeout(() => {
-      const currentRate = reaper.getPlayrate();
+      // Timed effects revert on their own and reschedule auto-reset when they end
+      if (this.activeEffects.length > 0) return;
+
+      const currentRate = reaper.getTargetPlayrate();
       if (currentRate !== autoResetConfig.resetTo) {
-        reaper.setPlayrate(autoResetConfig.resetTo);
+        reaper.setPlayrate(autoResetConfig.resetTo, { ramp: 'reset' });
         this.emit('autoReset', autoResetConfig.resetTo);
       }
     }, autoResetConfig.delaySeconds * 1000);
@@ -473,12 +1151,13 @@ class GameEngine extends EventEmitter {
   /**
    * Add action to history
    */
-  addToHistory(action, username, newRate, source) {
+  addToHistory(action, username, newRate, source, extra = {}) {
     this.actionHistory.unshift({
       action,
       username,
       newRate,
       source,
+      ...extra,
       timestamp: Date.now()
     });
 
@@ -522,6 +1201,9 @@ class GameEngine extends EventEmitter {
         preCountBars: measureSyncConfig.preCountBars || 1,
         ...reaper.getMeasureSyncState()
       },
+      actions: actions.list(),
+      effects: this.getEffectsState(),
+      hypeTrain: this.getHypeTrainState(),
       history: this.actionHistory.slice(0, 10)
     };
   }
@@ -0,0 +1,144 @@
+const EventEmitter = require('events');
+
+// Keep a few requests in reserve for redemptions, chat and other calls that don't queue
+const RATE_LIMIT_RESERVE = 5;
+// Backoff after a 429 or server error: doubles each time up to the max
+const BACKOFF_START_MS = 1000;
+const BACKOFF_MAX_MS = 30000;
+// Server errors (5xx / network) are retried this many times before giving up
+const MAX_ATTEMPTS = 3;
+
+class HelixQueue extends EventEmitter {
+  constructor() {
+    super();
+    this.apiClient = null;
+    this.pending = new Map();  // key -> { label, run, attempts, resolvers }
+    this.running = false;
+    this.backoffMs = 0;
+    this.backoffUntil = 0;
+    this.lastError = null;     // { label, message, statusCode, time }
+  }
+
+  /**
+   * Use this API client's rate limit stats (Ratelimit-Remaining / Ratelimit-Reset headers)
+   */
+  setApiClient(apiClient) {
+    this.apiClient = apiClient;
+  }
+
+  /**
+   * Queue a Helix request
+   * A newer request with the same key replaces one that hasn't been sent yet (it keeps its place in line)
+   * @param {string} key - What the request updates (e.g. 'price:<rewardId>')
+   * @param {string} label - For logs and the control panel (e.g. 'speedUp price')
+   * @param {function} run - Async function making the request
+   * @returns {Promise<boolean>} Resolves once the latest request for the key succeeded or failed for good
+   */
+  enqueue(key, label, run) {
+    return new Promise(resolve => {
+      const existing = this.pending.get(key);
+      if (existing) {
+        existing.label = label;
+        existing.run = run;
+        existing.attempts = 0;
+        existing.resolvers.push(resolve);
+      } else {
+        this.pending.set(key, { label, run, attempts: 0, resolvers: [resolve] });
+      }
+
+      this.process();
+    });
+  }
+
+  /**
+   * Send queued requests one at a time until the queue is empty
+   */
+  async process() {
+    if (this.running) return;
+    this.running = true;
+
+    while (this.pending.size > 0) {
+      await this.waitForCapacity();
+
+      const [key, entry] = this.pending.entries().next().value;
+      const run = entry.run;
+      entry.attempts++;
+
+      try {
+        await run();
+
+        // Only settle if nothing newer replaced the request while it was in flight
+        if (this.pending.get(key) === entry && entry.run === run) {
+          this.pending.delete(key);
+          entry.resolvers.forEach(resolve => resolve(true));
+        }
+        this.backoffMs = 0;
+      } catch (err) {
+        this.handleError(key, entry, run, err);
+      }
+    }
+
+    this.running = false;
+  }
+
+  /**
+   * Back off and retry rate limits and server errors, give up on everything else
+   */
+  handleError(key, entry, run, err) {
+    const statusCode = err.statusCode || null;
+    const retryable = statusCode === 429 || statusCode === null || statusCode >= 500;
+    const replaced = entry.run !== run;
+
+    if (retryable && (statusCode === 429 || entry.attempts < MAX_ATTEMPTS || replaced)) {
+      this.backoffMs = Math.min(BACKOFF_MAX_MS, this.backoffMs ? this.backoffMs * 2 : BACKOFF_START_MS);
+      this.backoffUntil = Date.now() + this.backoffMs;
+      console.warn(`⏳ Twitch API ${statusCode || 'error'} on ${entry.label} - retrying in ${this.backoffMs / 1000}s`);
+      return;
+    }
+
+    // A newer request for the same key still gets its own chance
+    if (replaced) return;
+
+    this.pending.delete(key);
+    this.lastError = {
+      label: entry.label,
+      message: err.message,
+      statusCode,
+      time: Date.now()
+    };
+    console.error(`Twitch API request failed (${entry.label}):`, err.message);
+    this.emit('requestFailed', this.lastError);
+    entry.resolvers.forEach(resolve => resolve(false));
+  }
+
+  /**
+   * Wait out a backoff, or the rate limit window when we're close to the limit
+   */
+  async waitForCapacity() {
+    let waitUntil = this.backoffUntil;
+
+    const stats = this.apiClient?.rateLimiterStats;
+    const remaining = stats?.lastKnownRemainingRequests;
+    if (typeof remaining === 'number' && remaining <= RATE_LIMIT_RESERVE && stats.lastKnownResetDate) {
+      waitUntil = Math.max(waitUntil, stats.lastKnownResetDate.getTime());
+    }
+
+    const waitMs = waitUntil - Date.now();
+    if (waitMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+  }
+
+  /**
+   * Get queue status (for the control panel)
+   */
+  getStatus() {
+    return {
+      pending: this.pending.size,
+      backoffUntil: this.backoffUntil > Date.now() ? this.backoffUntil : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = new HelixQueue();
@@ -0,0 +1,90 @@
+const chat = require('./chat');
+const EventEmitter = require('events');
+
+// Chat lines kept for the control panel
+const MAX_LOG = 100;
+
+/**
+ * Test chat provider: rehearse commands and requests without going live
+ * Messages come from the control panel (or any WebSocket client), replies go back to it
+ */
+class MockChatProvider extends EventEmitter {
+  constructor() {
+    super();
+    this.name = 'mock';   // Chat provider ID (see chat.js)
+    this.label = 'Test Chat';
+    this.log = [];        // [{ from, text, roles, bot, time }]
+
+    chat.register(this);
+  }
+
+  /**
+   * Chat provider: the test chat is always available
+   */
+  isConnected() {
+    return true;
+  }
+
+  /**
+   * Chat provider: bot messages go to the test chat log
+   */
+  sendChat(message) {
+    this.addLine({ from: 'bot', text: message, roles: [], bot: true });
+  }
+
+  /**
+   * Send a message as a test chatter
+   * @param {object} message - { username, roles, text }
+   *   roles: any of 'subscriber', 'vip', 'moderator', 'broadcaster'
+   */
+  async receive({ username, roles = [], text } = {}) {
+    if (typeof text !== 'string' || (username != null && typeof username !== 'string')) {
+      return { success: false, message: 'Username and text must be strings' };
+    }
+    if (!Array.isArray(roles) || !roles.every(role => typeof role === 'string')) {
+      return { success: false, message: 'Roles must be a list of role names' };
+    }
+
+    const name = (username || '').trim() || 'tester';
+    text = text.trim();
+    if (!text) return { success: false, message: 'Message is empty' };
+
+    this.addLine({ from: name, text, roles, bot: false });
+
+    await chat.handleMessage(this, {
+      userId: name.toLowerCase(),
+      username: name.toLowerCase(),
+      displayName: name,
+      roles,
+      text
+    });
+
+    return { success: true };
+  }
+
+  /**
+   * Add a line to the log and pass it on to the control panel
+   */
+  addLine(line) {
+    const entry = { ...line, time: Date.now() };
+    this.log.push(entry);
+    if (this.log.length > MAX_LOG) this.log.shift();
+    this.emit('message', entry);
+  }
+
+  /**
+   * Get the test chat log
+   */
+  getLog() {
+    return [...this.log];
+  }
+
+  /**
+   * Clear the test chat log
+   */
+  clear() {
+    this.log = [];
+  }
+}
+
+module.exports = new MockChatProvider();
@@ -0,0 +1,107 @@
+const config = require('./config');
+
+// Chat roles a permission rule can allow
+const ROLES = ['everyone', 'subscriber', 'vip', 'moderator', 'broadcaster'];
+
+// Chat commands with a permission rule under `commandPermissions.<id>`
+const COMMANDS = {
+  playrate: 'Set playrate (!playrate)',
+  testReaper: 'Test REAPER (!testreaper)',
+  reaperCommands: 'Mod command list (!reapercommands)',
+  undo: 'Undo (!undo)',
+  vote: 'Chat votes (!faster, !slower...)',
+  teamJoin: 'Join a team (!fire, !ice)',
+  teamScore: 'Team score (!teams)',
+  songRequest: 'Song requests (!request)',
+  queue: 'Queue position (!queue)',
+  cancelRequest: 'Cancel request (!cancel)'
+};
+
+class PermissionManager {
+  /**
+   * Get the roles a chatter has
+   * @param {object} user - Chat user from chat.js ({ username, roles })
+   * @returns {array} e.g. ['everyone', 'subscriber', 'vip']
+   */
+  getUserRoles(user) {
+    return ['everyone', ...(user.roles || []).filter(role => ROLES.includes(role))];
+  }
+
+  /**
+   * Get the permission rule for a command (commands without one are open to everyone)
+   * @returns {object} { roles, allow, deny }
+   */
+  getRule(command) {
+    const rule = config.get(`commandPermissions.${command}`) || {};
+
+    return {
+      roles: Array.isArray(rule.roles) ? rule.roles : ['everyone'],
+      allow: (rule.allow || []).map(entry => String(entry).trim()).filter(Boolean),
+      deny: (rule.deny || []).map(entry => String(entry).trim()).filter(Boolean)
+    };
+  }
+
+  /**
+   * Check if a chatter may use a command
+   * The broadcaster can always use everything; the blocklist beats roles and the allowlist
+   * @param {string} command - Command ID (e.g. 'playrate', 'songRequest')
+   * @param {object} user - Chat user
+   */
+  canUse(command, user) {
+    return this.check(this.getRule(command), user);
+  }
+
+  /**
+   * Check a chatter against a rule
+   * @param {object} rule - { roles, allow, deny }
+   * @param {object} user - Chat user
+   */
+  check(rule, user) {
+    const roles = this.getUserRoles(user);
+    if (roles.includes('broadcaster')) return true;
+
+    if (this.isListed(rule.deny, user)) return false;
+    if (this.isListed(rule.allow, user)) return true;
+    return rule.roles.some(role => roles.includes(role));
+  }
+
+  /**
+   * Check if a chatter is on an allow/deny list
+   * Bare names are Twitch logins. Other platforms take a prefix and the chatter's platform ID,
+   * e.g. youtube:UCxxxx (YouTube names are picked by the viewer, the channel ID isn't)
+   */
+  isListed(list, user) {
+    const platform = user.platform || 'twitch';
+
+    return list.some(entry => {
+      const separator = entry.indexOf(':');
+      const entryPlatform = separator === -1 ? 'twitch' : entry.slice(0, separator).toLowerCase();
+      const name = separator === -1 ? entry : entry.slice(separator + 1);
+      if (entryPlatform !== platform) return false;
+
+      if (platform === 'twitch') return name.toLowerCase() === (user.username || '').toLowerCase();
+      if (platform === 'youtube') return name === String(user.platformId);
+      return name.toLowerCase() === String(user.platformId).toLowerCase();
+    });
+  }
+
+  /**
+   * List all command rules (for the config panel)
+   */
+  list() {
+    return Object.entries(COMMANDS).map(([id, label]) => ({
+      id,
+      label,
+      ...this.getRule(id)
+    }));
+  }
+
+  /**
+   * Get the roles a rule can use
+   */
+  getRoles() {
+    return [...ROLES];
+  }
+}
+
+module.exports = new PermissionManager();
@@ -0,0 +1,71 @@
+const config = require('./config');
+
+// A REAPER web interface that doesn't answer within this long counts as unreachable
+const REQUEST_TIMEOUT_MS = 3000;
+
+/**
+ * REAPER playlist: talks to HYD-LivePerformanceServer.lua through REAPER's web interface, like Playlist.html
+ *
+ * Commands go to the `Playlist/command` EXTSTATE, the playlist state is read from `Playlist/data`.
+ */
+class ReaperPlaylist {
+  /**
+   * Get the playlist state published by the Playlist script (null if it isn't running)
+   * @returns {object|null} { q: [{ id, a, t, p (playing), c (current) }], cs: { a, t } (current song), ns, ... }
+   */
+  async getData() {
+    const response = await fetch(`${this.getWebUrl()}/_/GET/PROJEXTSTATE/Playlist/data`, {
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    const text = await response.text();
+
+    // Reply lines look like: PROJEXTSTATE \t Playlist \t data \t <value>
+    for (const line of text.split('\n')) {
+      const tok = line.split('\t');
+      if (tok.length > 3 && tok[1] === 'Playlist' && tok[2] === 'data' && tok[3]) {
+        return JSON.parse(this.unescape(tok.slice(3).join('\t')));
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the song playing in the playlist now (null if nothing plays or REAPER can't be reached)
+   * @returns {object|null} { artist, title }
+   */
+  async getCurrentSong() {
+    try {
+      const data = await this.getData();
+      const playing = data?.q?.find(item => item.p);
+      const song = playing || data?.cs;
+      return song ? { artist: song.a, title: song.t } : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Send a command to the Playlist script (add:<songId>, remove:<index>, ...)
+   */
+  async sendCommand(command) {
+    await fetch(`${this.getWebUrl()}/_/SET/EXTSTATE/Playlist/command/${encodeURIComponent(command)}`, {
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+  }
+
+  /**
+   * Undo the escaping REAPER's web interface applies to values
+   */
+  unescape(value) {
+    return value.replace(/\\([\\tn])/g, (match, char) => ({ t: '\t', n: '\n', '\\': '\\' })[char]);
+  }
+
+  /**
+   * REAPER web interface URL without trailing slash
+   */
+  getWebUrl() {
+    return (config.get('reaper.webUrl') || 'http://127.0.0.1:8080').replace(/\/+$/, '');
+  }
+}
+
+module.exports = new ReaperPlaylist();
@@ -4,6 +4,14 @@ const path = require('path');
 const config = require('./config');
 const EventEmitter = require('events');
 
+// Easing curves for playrate ramps (t = progress 0-1)
+const RAMP_EASINGS = {
+  linear: (from, to, t) => from + (to - from) * t,
+  easeIn: (from, to, t) => from + (to - from) * t * t,
+  // Equal ratio per step - sounds even to the ear, since tempo is perceived logarithmically
+  exponential: (from, to, t) => from * Math.pow(to / from, t)
+};
+
 class ReaperOSC extends EventEmitter {
   constructor() {
     super();
@@ -12,10 +20,14 @@ class ReaperOSC extends EventEmitter {
     this.currentBpm = 120;
     this.connected = false;
 
+    // Active playrate ramp (glide to target instead of jumping)
+    this.ramp = null;
+
     // Measure-sync state
     this.measureSync = {
       enabled: false,
       pendingChange: null,
+      nextChangeId: 1,      // Identifies queued changes (timed effects wait for theirs to play)
       currentMeasure: 0,
       currentBeat: 0,
       beatsInMeasure: 4,
@@ -120,14 +132,38 @@ class ReaperOSC extends EventEmitter {
   /**
    * Set the playrate in REAPER
    * @param {number} rate - Playrate value (e.g., 1.0, 1.5, 0.75)
+   * @param {object} options - { ramp: ramp profile name (e.g. 'chaos') to glide instead of jump }
+   * @returns {number} The target playrate
    */
-  setPlayrate(rate) {
+  setPlayrate(rate, options = {}) {
     const gameConfig = config.get('game');
 
     // Clamp to bounds
     rate = Math.max(gameConfig.minPlayrate, Math.min(gameConfig.maxPlayrate, rate));
     rate = Math.round(rate * 100) / 100; // Round to 2 decimal places
 
+    // A new change always takes over from a running ramp
+    this.cancelRamp();
+
+    const rampProfile = this.getRampProfile(options.ramp, rate);
+    if (rampProfile) {
+      this.startRamp(rate, rampProfile);
+      return rate;
+    }
+
+    const normalized = this.sendPlayrate(rate);
+    console.log(`📡 Set playrate: ${rate}x (normalized: ${normalized.toFixed(3)})`);
+
+    return rate;
+  }
+
+  /**
+   * Send a playrate to REAPER and update local state
+   * @param {number} rate - Playrate value
+   * @param {object} info - { ramping: true for intermediate ramp steps }
+   * @returns {number} Normalized value that was sent
+   */
+  sendPlayrate(rate, info = {}) {
     // REAPER OSC expects a normalized value (0-1) for /playrate
     // REAPER's playrate range is 0.25x to 4x (linear scale)
     // 0.0 = 0.25x, 0.2 = 1.0x, 1.0 = 4.0x
@@ -138,39 +174,40 @@ class ReaperOSC extends EventEmitter {
 
     this.send('/playrate', [{ type: 'f', value: clampedNormalized }]);
     this.currentPlayrate = rate;
-    this.emit('playrateChanged', rate);
-
-    console.log(`📡 Set playrate: ${rate}x (normalized: ${clampedNormalized.toFixed(3)})`);
+    this.emit('playrateChanged', rate, { ramping: !!info.ramping });
 
-    return rate;
+    return clampedNormalized;
   }
 
   /**
    * Adjust playrate by an increment
    * @param {number} delta - Amount to add (positive) or subtract (negative)
+   * @param {object} options - Passed through to setPlayrate
    */
-  adjustPlayrate(delta) {
-    const newRate = this.currentPlayrate + delta;
-    return this.setPlayrate(newRate);
+  adjustPlayrate(delta, options = {}) {
+    const newRate = this.getTargetPlayrate() + delta;
+    return this.setPlayrate(newRate, options);
   }
 
   /**
    * Set a random playrate within bounds
+   * @param {object} options - Passed through to setPlayrate
    */
-  setRandomPlayrate() {
+  setRandomPlayrate(options = {}) {
     const gameConfig = config.get('game');
     const min = gameConfig.minPlayrate;
     const max = gameConfig.maxPlayrate;
     const randomRate = min + Math.random() * (max - min);
-    return this.setPlayrate(randomRate);
+    return this.setPlayrate(randomRate, options);
   }
 
   /**
    * Reset playrate to default
+   * @param {object} options - Passed through to setPlayrate
    */
-  resetPlayrate() {
+  resetPlayrate(options = {}) {
     const gameConfig = config.get('game');
-    return this.setPlayrate(gameConfig.defaultPlayrate);
+    return this.setPlayrate(gameConfig.defaultPlayrate, options);
   }
 
   /**
@@ -180,6 +217,117 @@ class ReaperOSC extends EventEmitter {
     return this.currentPlayrate;
   }
 
+  /**
+   * Get the playrate we're heading to (end of the active ramp, or current playrate)
+   */
+  getTargetPlayrate() {
+    return this.ramp ? this.ramp.to : this.currentPlayrate;
+  }
+
+  // ============================================================================
+  // PLAYRATE RAMPS
+  // ============================================================================
+
+  /**
+   * Resolve a ramp profile from config
+   * @param {string} profileName - Profile name (usually the action), falls back to 'default'
+   * @param {number} targetRate - Rate we're ramping to
+   * @returns {object|null} { durationMs, easing, stepMs } or null for an instant change
+   */
+  getRampProfile(profileName, targetRate) {
+    const rampConfig = config.get('game.ramp') || {};
+    if (!rampConfig.enabled || !profileName) return null;
+
+    const profiles = rampConfig.profiles || {};
+    const profile = profiles[profileName] || profiles.default;
+    if (!profile || !(profile.length > 0)) return null;
+
+    const from = this.currentPlayrate;
+    if (Math.abs(targetRate - from) < 0.01) return null;
+
+    let durationMs;
+    if (profile.unit === 'beats') {
+      // Beats go by at the effective tempo, which changes during the ramp - use the average
+      const averageRate = (from + targetRate) / 2;
+      const effectiveBpm = (this.currentBpm || 120) * averageRate;
+      durationMs = (profile.length * 60000) / effectiveBpm;
+    } else {
+      durationMs = profile.length * 1000;
+    }
+
+    return {
+      name: profileName,
+      durationMs,
+      easing: RAMP_EASINGS[profile.easing] ? profile.easing : 'linear',
+      stepMs: Math.max(20, rampConfig.stepMs || 50)
+    };
+  }
+
+  /**
+   * Glide from the current playrate to a target
+   */
+  startRamp(targetRate, profile) {
+    const from = this.currentPlayrate;
+    const ease = RAMP_EASINGS[profile.easing];
+    const startedAt = Date.now();
+
+    this.ramp = {
+      from,
+      to: targetRate,
+      profile: profile.name,
+      easing: profile.easing,
+      durationMs: profile.durationMs,
+      startedAt,
+      timer: null
+    };
+
+    console.log(`📡 Ramping playrate: ${from}x → ${targetRate}x over ${(profile.durationMs / 1000).toFixed(1)}s (${profile.easing})`);
+    this.emit('rampStarted', {
+      from,
+      to: targetRate,
+      durationMs: profile.durationMs,
+      easing: profile.easing,
+      profile: profile.name
+    });
+
+    let lastSent = from;
+    this.ramp.timer = setInterval(() => {
+      const t = Math.min(1, (Date.now() - startedAt) / profile.durationMs);
+
+      if (t >= 1) {
+        this.cancelRamp();
+        this.sendPlayrate(targetRate);
+        console.log(`📡 Ramp complete: ${targetRate}x`);
+        this.emit('rampCompleted', { rate: targetRate });
+        return;
+      }
+
+      // Skip steps that don't change the rounded rate
+      const rate = Math.round(ease(from, targetRate, t) * 100) / 100;
+      if (rate !== lastSent) {
+        lastSent = rate;
+        this.sendPlayrate(rate, { ramping: true });
+      }
+    }, profile.stepMs);
+  }
+
+  /**
+   * Stop the active ramp where it is
+   */
+  cancelRamp() {
+    if (this.ramp) {
+      clearInterval(this.ramp.timer);
+      this.ramp = null;
+    }
+  }
+
+  /**
+   * Check if a ramp is in progress
+   */
+  isRamping() {
+    return this.ramp !== null;
+  }
+
   /**
    * Get current BPM
    */
@@ -224,7 +372,7 @@ class ReaperOSC extends EventEmitter {
    */
   canSpeedUp() {
     const gameConfig = config.get('game');
-    return this.currentPlayrate < gameConfig.maxPlayrate;
+    return this.getTargetPlayrate() < gameConfig.maxPlayrate;
   }
 
   /**
@@ -232,7 +380,7 @@ class ReaperOSC extends EventEmitter {
    */
   canSlowDown() {
     const gameConfig = config.get('game');
-    return this.currentPlayrate > gameConfig.minPlayrate;
+    return this.getTargetPlayrate() > gameConfig.minPlayrate;
   }
 
   /**
@@ -314,11 +462,15 @@ class ReaperOSC extends EventEmitter {
    * Disable measure-sync mode
    */
   disableMeasureSync() {
+    const dropped = this.measureSync.pendingChange;
     this.measureSync.enabled = false;
     this.measureSync.pendingChange = null;
     this.sendMeasureSyncCommand({ action: 'disable' });
     this.stopMeasureSyncPolling();
     console.log('📐 Measure-sync disabled');
+    if (dropped) {
+      this.emit('speedChangeCancelled', { id: dropped.id, newRate: dropped.newRate });
+    }
     this.emit('measureSyncDisabled');
   }
 
@@ -335,7 +487,11 @@ class ReaperOSC extends EventEmitter {
     newRate = Math.max(gameConfig.minPlayrate, Math.min(gameConfig.maxPlayrate, newRate));
     newRate = Math.round(newRate * 100) / 100;
 
+    // ReaScript only keeps the latest change - the previous one will never play
+    const superseded = this.measureSync.pendingChange;
+
     this.measureSync.pendingChange = {
+      id: this.measureSync.nextChangeId++,
       newRate,
       warningBeats,
       preCountBars,
@@ -350,6 +506,9 @@ class ReaperOSC extends EventEmitter {
     });
 
     console.log(`📐 Queued speed change: ${newRate}x in ${warningBeats} beats`);
+    if (superseded) {
+      this.emit('speedChangeSuperseded', { id: superseded.id, newRate: superseded.newRate });
+    }
     this.emit('speedChangeQueued', {
       newRate,
       warningBeats,
@@ -364,11 +523,12 @@ class ReaperOSC extends EventEmitter {
    */
   cancelPendingChange() {
     if (this.measureSync.pendingChange) {
+      const { id, newRate } = this.measureSync.pendingChange;
       this.measureSync.pendingChange = null;
       this.measureSync.countdown = 0;
       this.sendMeasureSyncCommand({ action: 'cancel' });
       console.log('📐 Pending speed change cancelled');
-      this.emit('speedChangeCancelled');
+      this.emit('speedChangeCancelled', { id, newRate });
     }
   }
 
@@ -6,14 +6,287 @@ const EventEmitter = require('events');
 // Persistent data files
 const REQUESTS_LOG_FILE = path.join(__dirname, '..', 'requests_log.json');
 const REQUESTS_STATS_FILE = path.join(__dirname, '..', 'requests_stats.json');
+const REQUESTS_QUEUE_FILE = path.join(__dirname, '..', 'requests_queue.json');
+
+// Prepared search entries per songs index (rebuilt when the index is reloaded)
+const searchEntriesCache = new WeakMap();
+
+/**
+ * Lowercase, strip accents and punctuation: "Beyoncé - Halo!" -> "beyonce halo"
+ * Letters and digits of every script are kept ("Кино", "紅蓮華")
+ */
+function normalizeSearchText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Songs whose raw title or artist contains the query, for queries that are
+ * nothing but symbols after normalizing (e.g. "★" or "+/-")
+ * @returns {array} [{ song, score }] exact titles first
+ */
+function rawSubstringMatches(query, songsIndex) {
+  const needle = String(query).trim().toLowerCase();
+  if (!needle) return [];
+
+  return songsIndex
+    .filter(song => String(song.t || '').toLowerCase().includes(needle) ||
+      String(song.a || '').toLowerCase().includes(needle))
+    .map(song => ({ song, score: String(song.t || '').toLowerCase() === needle ? 120 : 60 }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Check if a song is on a song rule list ({ songIds, artists })
+ */
+function matchesSongList(list, song) {
+  if (!list) return false;
+  const artist = normalizeSearchText(song.a);
+  return (list.songIds || []).some(id => String(id) === String(song.id)) ||
+    (list.artists || []).some(name => normalizeSearchText(name) === artist);
+}
+
+/**
+ * Check if a song rule list has any entries
+ */
+function isSongListEmpty(list) {
+  return !list?.songIds?.length && !list?.artists?.length;
+}
+
+/**
+ * Normalized title/artist text and words for every song in the index
+ */
+function getSearchEntries(songsIndex) {
+  let entries = searchEntriesCache.get(songsIndex);
+  if (!entries) {
+    entries = songsIndex.map(song => {
+      const title = normalizeSearchText(song.t);
+      const artist = normalizeSearchText(song.a);
+      return {
+        song,
+        title,
+        artist,
+        titleTokens: title.split(' ').filter(Boolean),
+        artistTokens: artist.split(' ').filter(Boolean)
+      };
+    });
+    searchEntriesCache.set(songsIndex, entries);
+  }
+  return entries;
+}
+
+/**
+ * Levenshtein distance, giving up once it's above max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * How well one query word matches a song word (0-1)
+ */
+function scoreToken(queryToken, songToken) {
+  if (queryToken === songToken) return 1;
+  if (queryToken.length >= 3 && songToken.startsWith(queryToken)) return 0.85;
+
+  // Typos: 1 edit for 4-7 letters, 2 for longer words
+  const maxEdits = queryToken.length >= 8 ? 2 : queryToken.length >= 4 ? 1 : 0;
+  if (maxEdits > 0) {
+    const distance = editDistance(queryToken, songToken, maxEdits);
+    if (distance <= maxEdits) return 0.8 - 0.1 * distance;
+  }
+
+  if (queryToken.length >= 4 && songToken.includes(queryToken)) return 0.6;
+  return 0;
+}
+
+/**
+ * Best match for a query word among a song's words
+ */
+function bestTokenScore(queryToken, songTokens) {
+  let best = 0;
+  for (const songToken of songTokens) {
+    best = Math.max(best, scoreToken(queryToken, songToken));
+    if (best === 1) break;
+  }
+  return best;
+}
+
+/**
+ * Score a song against a query (about 0-120, higher is better)
+ * Title words count fully, artist words 70%; whole-title matches get a bonus
+ * and long titles that only match one word rank below short ones
+ */
+function scoreSong(entry, queryText, queryTokens) {
+  // Exact title or "artist title" / "title artist"
+  if (queryText === entry.title) return 120;
+  if (queryText === `${entry.artist} ${entry.title}` || queryText === `${entry.title} ${entry.artist}`) return 120;
+
+  let total = 0;
+  let titleHits = 0;
+  for (const token of queryTokens) {
+    const titleScore = bestTokenScore(token, entry.titleTokens);
+    const artistScore = bestTokenScore(token, entry.artistTokens) * 0.7;
+    total += Math.max(titleScore, artistScore);
+    if (titleScore > 0 && titleScore >= artistScore) titleHits++;
+  }
+
+  let score = (total / queryTokens.length) * 100;
+
+  if (entry.title.startsWith(queryText)) score += 10;
+  else if (entry.title.includes(queryText)) score += 5;
+
+  // Title words the query didn't mention (artist-only searches aren't penalized)
+  if (titleHits > 0) {
+    const unmatchedTitleWords = Math.max(0, entry.titleTokens.length - titleHits);
+    score -= Math.min(unmatchedTitleWords * 3, 15);
+  }
+
+  return Math.round(score * 10) / 10;
+}
 
 class RequestsManager extends EventEmitter {
   constructor() {
     super();
     this.queue = [];  // Active request queue
     this.userCooldowns = new Map();  // userId -> timestamp
+    this.songCooldowns = new Map();  // songId -> timestamp the song was last played from a request
+    this.pendingChoices = new Map(); // userId -> { songs, expiresAt } from a "did you mean" reply
     this.stats = this.loadStats();
     this.log = this.loadLog();
+    this.savedQueue = null;  // Last queue that wasn't restored (too old, or cleared), kept in the queue file: { queue, userCooldowns, savedAt }
+    this.loadQueue();
+  }
+
+  /**
+   * Restore the queue and cooldowns saved before the last shutdown/crash
+   * Queues older than requests.restoreMaxAgeHours are kept for a manual restore instead
+   * (replacing an older one that was waiting for a restore)
+   */
+  loadQueue() {
+    try {
+      if (!fs.existsSync(REQUESTS_QUEUE_FILE)) return;
+
+      const data = JSON.parse(fs.readFileSync(REQUESTS_QUEUE_FILE, 'utf8'));
+      if (!Array.isArray(data.queue)) return;
+
+      // Replay cooldowns run on the clock, whether or not the queue comes back
+      this.songCooldowns = new Map(data.songCooldowns || []);
+      this.savedQueue = data.savedQueue?.queue?.length ? data.savedQueue : null;
+
+      const reqConfig = config.get('requests');
+      const maxAgeMs = (reqConfig.restoreMaxAgeHours || 0) * 60 * 60 * 1000;
+      const age = Date.now() - (data.savedAt || 0);
+
+      if (reqConfig.restoreOnStartup && age <= maxAgeMs) {
+        this.queue = data.queue;
+        this.userCooldowns = new Map(data.userCooldowns || []);
+        if (this.queue.length > 0) {
+          console.log(`🎵 Restored ${this.queue.length} song request${this.queue.length !== 1 ? 's' : ''} from last session`);
+        }
+      } else if (data.queue.length > 0) {
+        this.savedQueue = { queue: data.queue, userCooldowns: data.userCooldowns || [], savedAt: data.savedAt };
+        this.saveQueue();
+        console.log(`🎵 Saved request queue (${data.queue.length}) is too old to restore automatically - restore it from the control panel`);
+      }
+    } catch (err) {
+      console.error('Error loading request queue:', err.message);
+    }
+  }
+
+  /**
+   * Save the active queue and cooldowns (called on every queue change)
+   */
+  saveQueue() {
+    try {
+      // Expired cooldowns don't need to survive a restart
+      const cooldownMs = (config.get('requests.userCooldownMinutes') || 0) * 60 * 1000;
+      for (const [userId, timestamp] of this.userCooldowns) {
+        if (Date.now() - timestamp >= cooldownMs) this.userCooldowns.delete(userId);
+      }
+      const replayMs = (config.get('requests.songRules.replayCooldownMinutes') || 0) * 60 * 1000;
+      for (const [songId, timestamp] of this.songCooldowns) {
+        if (Date.now() - timestamp >= replayMs) this.songCooldowns.delete(songId);
+      }
+
+      fs.writeFileSync(REQUESTS_QUEUE_FILE, JSON.stringify({
+        savedAt: Date.now(),
+        queue: this.queue,
+        userCooldowns: [...this.userCooldowns],
+        songCooldowns: [...this.songCooldowns],
+        savedQueue: this.savedQueue
+      }, null, 2));
+    } catch (err) {
+      console.error('Error saving request queue:', err.message);
+    }
+  }
+
+  /**
+   * Get the queue available for a manual restore
+   * @returns {object|null} { count, savedAt }
+   */
+  getSavedQueueInfo() {
+    if (!this.savedQueue?.queue.length) return null;
+    return { count: this.savedQueue.queue.length, savedAt: this.savedQueue.savedAt };
+  }
+
+  /**
+   * Restore the last queue that was too old to restore or was cleared
+   * Requests go behind the current queue; users who already have a request keep theirs
+   * @returns {number} Number of requests restored
+   */
+  restoreSavedQueue() {
+    if (!this.savedQueue) return 0;
+
+    const restored = this.savedQueue.queue.filter(saved => !this.queue.some(r => r.userId === saved.userId));
+    this.queue.push(...restored);
+    this.sortQueue();
+
+    for (const [userId, timestamp] of this.savedQueue.userCooldowns || []) {
+      if (!this.userCooldowns.has(userId)) this.userCooldowns.set(userId, timestamp);
+    }
+
+    this.savedQueue = null;
+    this.saveQueue();
+
+    this.addLogEntry({
+      type: 'restore',
+      count: restored.length
+    });
+
+    return restored.length;
+  }
+
+  /**
+   * Throw away the saved queue without restoring it
+   * @returns {boolean} True if there was one
+   */
+  dismissSavedQueue() {
+    if (!this.savedQueue) return false;
+
+    this.savedQueue = null;
+    this.saveQueue();
+    return true;
   }
 
   /**
@@ -92,9 +365,10 @@ class RequestsManager extends EventEmitter {
 
   /**
    * Check if user passes requirements
+   * @param {function} isFollower - Async follower check from the chat provider (null if the platform has none)
    * @returns {object} { allowed: boolean, reason?: string }
    */
-  async checkUserRequirements(userId, username, userInfo, twitchApi) {
+  async checkUserRequirements(userId, username, userInfo, isFollower) {
     const reqConfig = config.get('requests');
 
     // Check if requests are enabled
@@ -108,11 +382,9 @@ class RequestsManager extends EventEmitter {
     }
 
     // Check follower requirement
-    if (reqConfig.requireFollower && twitchApi) {
+    if (reqConfig.requireFollower && isFollower) {
       try {
-        const broadcasterId = config.get('twitch.broadcasterId');
-        const follow = await twitchApi.channels.getChannelFollowers(broadcasterId, userId);
-        if (!follow?.data?.length) {
+        if (!await isFollower()) {
           return { allowed: false, reason: 'You must follow the channel to request songs.' };
         }
       } catch (err) {
@@ -154,6 +426,50 @@ class RequestsManager extends EventEmitter {
     return { allowed: true, existingRequest };
   }
 
+  /**
+   * Check a song against requests.songRules (the broadcaster is exempt)
+   * @param {object} song - Song from the index
+   * @returns {object} { allowed: boolean, reason?: message key in requests.messages, minutes? }
+   */
+  checkSongRules(userId, song, userInfo = {}) {
+    const rules = config.get('requests.songRules');
+    if (!rules || userInfo.isBroadcaster) return { allowed: true };
+
+    if (matchesSongList(rules.blacklist, song)) {
+      return { allowed: false, reason: 'songBlacklisted' };
+    }
+
+    if (!isSongListEmpty(rules.allowlist) && !matchesSongList(rules.allowlist, song)) {
+      return { allowed: false, reason: 'songNotAllowed' };
+    }
+
+    if (matchesSongList(rules.streamerOnly, song)) {
+      return { allowed: false, reason: 'songStreamerOnly' };
+    }
+
+    // Replay cooldown after the song was played from a request
+    const replayMs = (rules.replayCooldownMinutes || 0) * 60 * 1000;
+    const lastPlayed = this.songCooldowns.get(String(song.id));
+    if (replayMs > 0 && lastPlayed && (Date.now() - lastPlayed) < replayMs) {
+      return {
+        allowed: false,
+        reason: 'songCooldown',
+        minutes: Math.ceil((replayMs - (Date.now() - lastPlayed)) / 60000)
+      };
+    }
+
+    // Copies of the song already queued (the user's own request doesn't count - they're replacing it)
+    const maxDuplicates = rules.maxDuplicatesInQueue || 0;
+    if (maxDuplicates > 0) {
+      const queued = this.queue.filter(r => String(r.songId) === String(song.id) && r.userId !== userId).length;
+      if (queued >= maxDuplicates) {
+        return { allowed: false, reason: 'songDuplicate' };
+      }
+    }
+
+    return { allowed: true };
+  }
+
   /**
    * Search for a song in the index
    * @param {string} query - Search query
@@ -161,53 +477,95 @@ class RequestsManager extends EventEmitter {
    * @returns {object|null} Best matching song or null
    */
   searchSong(query, songsIndex) {
-    if (!songsIndex || !query) return null;
+    return this.rankSongs(query, songsIndex, 1)[0]?.song || null;
+  }
 
-    const normalizedQuery = query.toLowerCase().trim();
+  /**
+   * Rank songs against a search query
+   * Scores title words higher than artist words, tolerates typos and ignores accents/punctuation
+   * @param {string} query - Search query (e.g. "one", "metalica puppets", "Beyonce - Halo")
+   * @param {array} songsIndex - Array of songs from index
+   * @param {number} limit - Maximum results
+   * @returns {array} [{ song, score }] best first, only songs above requests.search.minScore
+   */
+  rankSongs(query, songsIndex, limit = 5) {
+    if (!songsIndex || !query) return [];
 
-    // Exact match on title
-    let match = songsIndex.find(s => s.t.toLowerCase() === normalizedQuery);
-    if (match) return match;
+    const queryText = normalizeSearchText(query);
+    const queryTokens = queryText.split(' ').filter(Boolean);
+    if (queryTokens.length === 0) return rawSubstringMatches(query, songsIndex).slice(0, limit);
 
-    // Exact match on "artist - title" format
-    match = songsIndex.find(s =>
-      `${s.a} - ${s.t}`.toLowerCase() === normalizedQuery ||
-      `${s.t} - ${s.a}`.toLowerCase() === normalizedQuery
-    );
-    if (match) return match;
-
-    // Partial match (title contains query)
-    match = songsIndex.find(s => s.t.toLowerCase().includes(normalizedQuery));
-    if (match) return match;
-
-    // Partial match (artist contains query)
-    match = songsIndex.find(s => s.a.toLowerCase().includes(normalizedQuery));
-    if (match) return match;
-
-    // Fuzzy match - split into words and find best score
-    const queryWords = normalizedQuery.split(/\s+/).filter(w => w.length > 1);
-    if (queryWords.length > 0) {
-      let bestMatch = null;
-      let bestScore = 0;
-
-      for (const song of songsIndex) {
-        const songText = `${song.t} ${song.a}`.toLowerCase();
-        let score = 0;
-        for (const word of queryWords) {
-          if (songText.includes(word)) score++;
-        }
-        if (score > bestScore) {
-          bestScore = score;
-          bestMatch = song;
-        }
-      }
+    const minScore = config.get('requests.search.minScore') ?? 45;
 
-      if (bestMatch && bestScore >= Math.ceil(queryWords.length * 0.5)) {
-        return bestMatch;
-      }
+    return getSearchEntries(songsIndex)
+      .map(entry => ({ song: entry.song, score: scoreSong(entry, queryText, queryTokens) }))
+      .filter(result => result.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Songs for web autocomplete: ranked matches first, then plain substring matches
+   * (partly typed words like "me" or "tal" are too short to rank)
+   * @returns {array} Songs from the index
+   */
+  autocompleteSongs(query, songsIndex, limit = 20) {
+    if (!songsIndex || !query) return [];
+
+    const ranked = this.rankSongs(query, songsIndex, limit).map(result => result.song);
+    const queryText = normalizeSearchText(query);
+    // Symbol-only queries were already matched on the raw text by rankSongs()
+    if (!queryText || ranked.length >= limit) return ranked;
+
+    const substring = getSearchEntries(songsIndex)
+      .filter(entry => !ranked.includes(entry.song) &&
+        (entry.title.includes(queryText) || entry.artist.includes(queryText)))
+      .map(entry => entry.song);
+
+    return [...ranked, ...substring].slice(0, limit);
+  }
+
+  /**
+   * Check if a search is too close to call (the bot asks "did you mean...")
+   * @param {array} results - From rankSongs()
+   */
+  isAmbiguous(results) {
+    if (results.length < 2) return false;
+    const margin = config.get('requests.search.ambiguityMargin') ?? 10;
+    return results[0].score - results[1].score < margin;
+  }
+
+  /**
+   * Remember the songs offered to a user so they can pick one with "!sr <number>"
+   */
+  setPendingChoice(userId, songs) {
+    const timeoutMs = (config.get('requests.search.choiceTimeoutSeconds') || 60) * 1000;
+
+    // Lists nobody picked from would otherwise pile up for the whole stream
+    for (const [otherId, pending] of this.pendingChoices) {
+      if (Date.now() > pending.expiresAt) this.pendingChoices.delete(otherId);
+    }
+
+    this.pendingChoices.set(userId, { songs, expiresAt: Date.now() + timeoutMs });
+  }
+
+  /**
+   * Pick a song from the user's last "did you mean" list
+   * @param {string} query - The request text (a number picks an option)
+   * @returns {object|null} Chosen song, or null if the query isn't a valid choice
+   */
+  takePendingChoice(userId, query) {
+    const pending = this.pendingChoices.get(userId);
+    if (!pending || !/^\d+$/.test(query)) return null;
+
+    if (Date.now() > pending.expiresAt) {
+      this.pendingChoices.delete(userId);
+      return null;
     }
 
-    return null;
+    const song = pending.songs[parseInt(query) - 1];
+    if (song) this.pendingChoices.delete(userId);
+    return song || null;
   }
 
   /**
@@ -244,6 +602,7 @@ class RequestsManager extends EventEmitter {
         position: existingIndex + 1
       });
 
+      this.saveQueue();
       this.emit('requestEdited', this.queue[existingIndex]);
 
       return {
@@ -266,11 +625,16 @@ class RequestsManager extends EventEmitter {
       requestedAt: Date.now(),
       editCount: 0,
       isSubscriber: userInfo.isSubscriber || false,
-      avatarUrl: userInfo.avatarUrl || null
+      avatarUrl: userInfo.avatarUrl || null,
+      tier: this.getTierFor(userInfo.roles || []),
+      bumpedAt: null
     };
 
     this.queue.push(request);
+    this.sortQueue();
     this.userCooldowns.set(userId, Date.now());
+    this.saveQueue();
+    const position = this.getUserPosition(userId);
 
     // Update stats
     this.stats.totalRequests++;
@@ -299,19 +663,106 @@ class RequestsManager extends EventEmitter {
       userId,
       username,
       song: { id: song.id, title: song.t, artist: song.a },
-      position: this.queue.length
+      position
     });
 
     this.emit('requestAdded', request);
 
     return {
       success: true,
-      message: `@${username} Added "${song.t}" by ${song.a} to the queue (position #${this.queue.length})`,
+      message: `@${username} Added "${song.t}" by ${song.a} to the queue (position #${position})`,
       request,
       edited: false
     };
   }
 
+  /**
+   * Get the priority lanes, highest priority first (empty while priority lanes are off)
+   */
+  getTiers() {
+    const priority = config.get('requests.priority');
+    return priority?.enabled && Array.isArray(priority.tiers) ? priority.tiers : [];
+  }
+
+  /**
+   * Get the lane a new request joins: the first one matching one of the requester's roles
+   * @param {array} roles - Chat roles ('subscriber', 'vip', ...)
+   * @returns {string|null} Lane ID
+   */
+  getTierFor(roles) {
+    const tiers = config.get('requests.priority.tiers') || [];
+    const userRoles = ['everyone', ...roles];
+    const tier = tiers.find(t => (t.roles || []).some(role => userRoles.includes(role)));
+    return (tier || tiers[tiers.length - 1])?.id || null;
+  }
+
+  /**
+   * Order the queue by lane, then by time (bumped requests count from their bump)
+   * Does nothing while priority lanes are off - the queue stays first come, first served
+   */
+  sortQueue() {
+    const tiers = this.getTiers();
+    if (tiers.length === 0) return;
+
+    const rank = request => {
+      const index = tiers.findIndex(t => t.id === request.tier);
+      return index === -1 ? tiers.length : index;
+    };
+    this.queue.sort((a, b) =>
+      rank(a) - rank(b) || (a.bumpedAt || a.requestedAt) - (b.bumpedAt || b.requestedAt)
+    );
+  }
+
+  /**
+   * Find a request by user ID, username or display name (donations only know the donor's name)
+   */
+  findRequest(user) {
+    const name = String(user || '').toLowerCase();
+    return this.queue.find(r =>
+      r.userId === user || r.username?.toLowerCase() === name || r.displayName?.toLowerCase() === name
+    ) || null;
+  }
+
+  /**
+   * Move a user's request to the bump lane (requests.priority.bump.tier)
+   * @param {string} user - User ID or name
+   * @param {string} source - 'channelPoints', 'donation', ...
+   * @returns {object} { success, reason?, request?, tier?, position? }
+   *   reason: 'disabled', 'noRequest' or 'alreadyBumped'
+   */
+  bumpRequest(user, source) {
+    const tierId = config.get('requests.priority.bump.tier');
+    const tier = this.getTiers().find(t => t.id === tierId);
+    if (!config.get('requests.enabled') || !tier) {
+      return { success: false, reason: 'disabled' };
+    }
+
+    const request = this.findRequest(user);
+    if (!request) return { success: false, reason: 'noRequest' };
+    if (request.tier === tier.id) return { success: false, reason: 'alreadyBumped', request, tier };
+
+    const oldPosition = this.getUserPosition(request.userId);
+    request.tier = tier.id;
+    request.bumpedAt = Date.now();
+    this.sortQueue();
+    this.saveQueue();
+
+    const position = this.getUserPosition(request.userId);
+    this.addLogEntry({
+      type: 'bump',
+      userId: request.userId,
+      username: request.username,
+      song: { id: request.songId, title: request.songTitle, artist: request.songArtist },
+      tier: tier.id,
+      source,
+      oldPosition,
+      position
+    });
+
+    this.emit('requestBumped', request);
+    return { success: true, request, tier, position };
+  }
+
   /**
    * Remove a request (by user or moderator)
    */
@@ -322,6 +773,7 @@ class RequestsManager extends EventEmitter {
 
     const request = this.queue[index];
     this.queue.splice(index, 1);
+    this.saveQueue();
 
     this.stats.totalCancelled++;
     this.saveStats();
@@ -354,6 +806,8 @@ class RequestsManager extends EventEmitter {
     if (index === -1) return null;
 
     const request = this.queue.splice(index, 1)[0];
+    this.songCooldowns.set(String(request.songId), Date.now());
+    this.saveQueue();
 
     this.stats.totalCompleted++;
     if (this.stats.topRequesters[request.userId]) {
@@ -406,7 +860,13 @@ class RequestsManager extends EventEmitter {
    */
   clearQueue() {
     const count = this.queue.length;
+
+    // Keep the cleared queue around so it can be restored from the control panel
+    if (count > 0) {
+      this.savedQueue = { queue: this.queue, userCooldowns: [...this.userCooldowns], savedAt: Date.now() };
+    }
     this.queue = [];
+    this.saveQueue();
 
     this.addLogEntry({
       type: 'clear',
@@ -459,6 +919,7 @@ class RequestsManager extends EventEmitter {
    * Serialize queue for web interface
    */
   serializeForWeb() {
+    const tiers = this.getTiers();
     return this.queue.map((r, i) => ({
       id: r.id,
       pos: i + 1,
@@ -470,7 +931,10 @@ class RequestsManager extends EventEmitter {
       sub: r.isSubscriber,
       avatar: r.avatarUrl,
       time: r.requestedAt,
-      edits: r.editCount
+      edits: r.editCount,
+      tier: tiers.length > 0 ? r.tier || null : null,
+      tierLabel: tiers.find(t => t.id === r.tier)?.label || '',
+      bumped: tiers.length > 0 && !!r.bumpedAt
     }));
   }
 }
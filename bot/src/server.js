@@ -6,9 +6,22 @@ const config = require('./config');
 const gameEngine = require('./game-engine');
 const reaper = require('./reaper');
 const twitch = require('./twitch');
+const chat = require('./chat');
+const mockChat = require('./mock-chat');
 const streamlabs = require('./streamlabs');
 const streamelements = require('./streamelements');
+const youtube = require('./youtube');
 const requests = require('./requests');
+const autodj = require('./autodj');
+const actions = require('./actions');
+const voting = require('./voting');
+const teams = require('./teams');
+const sessions = require('./sessions');
+const streamEvents = require('./stream-events');
+const bitsManager = require('./bits');
+const permissions = require('./permissions');
+const commands = require('./commands');
+const helixQueue = require('./helix-queue');
 
 class WebServer {
   constructor() {
@@ -35,7 +48,7 @@ class WebServer {
         if (fs.existsSync(indexPath)) {
           const data = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
           this.songsIndex = data.songs || [];
-          twitch.setSongsIndex(this.songsIndex);
+          chat.setSongsIndex(this.songsIndex);
           console.log(`📚 Loaded ${this.songsIndex.length} songs from index`);
           return true;
         }
@@ -99,6 +112,7 @@ class WebServer {
     this.app.put('/api/config', (req, res) => {
       // Check if measureSync.enabled is changing
       const oldMeasureSyncEnabled = config.get('game.measureSync.enabled') || false;
+      const oldBumpRewardActive = twitch.isBumpRewardActive();
 
       config.update(req.body);
 
@@ -114,6 +128,11 @@ class WebServer {
         }
       }
 
+      // Create or pause the song request bump reward (requests / priority lanes / the reward switched)
+      if (twitch.isBumpRewardActive() !== oldBumpRewardActive) {
+        twitch.syncBumpReward();
+      }
+
       this.broadcast({ type: 'configUpdated', data: config.getAll() });
       res.json({ success: true });
     });
@@ -123,8 +142,13 @@ class WebServer {
       res.json({
         game: gameEngine.getState(),
         twitch: twitch.getStatus(),
+        chat: chat.getStatus(),
         streamlabs: streamlabs.getStatus(),
         streamelements: streamelements.getStatus(),
+        youtube: youtube.getStatus(),
+        autoDj: autodj.getStatus(),
+        voting: voting.getVoteState(),
+        teams: teams.getMeter(),
         reaper: {
           connected: reaper.connected,
           playrate: reaper.getPlayrate(),
@@ -142,8 +166,8 @@ class WebServer {
         // Create channel point rewards
         await twitch.createRewards();
       } else {
-        // Remove channel point rewards
-        await twitch.removeRewards();
+        // Pause (or remove) channel point rewards
+        await twitch.stopRewards();
       }
 
       this.broadcast({ type: 'gameToggled', data: { enabled } });
@@ -157,6 +181,100 @@ class WebServer {
       res.json(result);
     });
 
+    // Recorded game sessions (summaries, newest first)
+    this.app.get('/api/sessions', (req, res) => {
+      res.json({ current: sessions.getCurrentId(), sessions: sessions.listSessions() });
+    });
+
+    // Full report for one session
+    this.app.get('/api/sessions/:id', (req, res) => {
+      const report = sessions.getReport(req.params.id);
+      if (report) {
+        res.json(report);
+      } else {
+        res.status(404).json({ success: false, message: 'Session not found' });
+      }
+    });
+
+    // Close the current session and start a new one
+    this.app.post('/api/sessions/new', (req, res) => {
+      const session = sessions.start();
+      res.json({ success: !!session, ...session });
+    });
+
+    // Clear per-user cooldowns and stream quotas
+    this.app.post('/api/user-limits/reset', (req, res) => {
+      gameEngine.resetUserLimits();
+      res.json({ success: true });
+    });
+
+    // Close the active vote now and apply the winner
+    this.app.post('/api/vote/end', (req, res) => {
+      const result = voting.endVote();
+      if (result) {
+        res.json({ success: true, ...result });
+      } else {
+        res.status(404).json({ success: false, message: 'No active vote' });
+      }
+    });
+
+    // Cancel the active vote without applying anything
+    this.app.post('/api/vote/cancel', (req, res) => {
+      res.json({ success: voting.cancelVote() });
+    });
+
+    // Team scores for this stream
+    this.app.get('/api/teams', (req, res) => {
+      res.json(teams.getMeter());
+    });
+
+    // End the current song and announce the winning team
+    this.app.post('/api/teams/end-song', (req, res) => {
+      const result = teams.endSong();
+      res.json({ success: !!result, ...result });
+    });
+
+    // Start a new stream (clear rosters and scores)
+    this.app.post('/api/teams/reset', (req, res) => {
+      teams.resetStream();
+      res.json({ success: true });
+    });
+
+    // List available actions (built-in + custom)
+    this.app.get('/api/actions', (req, res) => {
+      res.json(actions.list());
+    });
+
+    // Chat commands (built-in names/aliases/cooldowns + custom text commands)
+    this.app.get('/api/commands', (req, res) => {
+      res.json(commands.list());
+    });
+
+    // Chat command permission rules (roles + allow/block lists)
+    this.app.get('/api/permissions', (req, res) => {
+      res.json({ roles: permissions.getRoles(), commands: permissions.list() });
+    });
+
+    // Test chat: rehearse commands without going live
+    this.app.get('/api/mock-chat', (req, res) => {
+      res.json({ messages: mockChat.getLog() });
+    });
+
+    this.app.post('/api/mock-chat', async (req, res) => {
+      const { username, roles, text } = req.body;
+      try {
+        res.json(await mockChat.receive({ username, roles, text }));
+      } catch (err) {
+        console.error('Test chat error:', err.message);
+        res.status(500).json({ success: false, message: err.message });
+      }
+    });
+
+    this.app.delete('/api/mock-chat', (req, res) => {
+      mockChat.clear();
+      res.json({ success: true });
+    });
+
     // Set playrate directly
     this.app.post('/api/playrate', (req, res) => {
       const { rate } = req.body;
@@ -176,24 +294,139 @@ class WebServer {
       res.json({ success });
     });
 
-    // Get Twitch OAuth URL
+    // Pause rewards manually (kept on Twitch, unpaused by create)
+    this.app.post('/api/rewards/pause', async (req, res) => {
+      const success = await twitch.pauseRewards();
+      res.json({ success });
+    });
+
+    // Get Twitch OAuth URL (?account=bot to connect a separate chat bot account)
     this.app.get('/api/twitch/auth-url', (req, res) => {
       const clientId = config.get('twitch.clientId');
       const redirectUri = `http://localhost:${config.get('webPort')}/api/twitch/callback`;
-      const scopes = [
-        'channel:read:redemptions',
-        'channel:manage:redemptions',
-        'chat:edit',
-        'chat:read'
-      ].join('+');
-
-      const url = `https://id.twitch.tv/oauth2/authorize?client_id=${clientId}&redirect_uri=${encodeURIComponent(redirectUri)}&response_type=code&scope=${scopes}`;
+      const isBot = req.query.account === 'bot';
+      const scopes = (isBot
+        ? ['user:read:chat', 'user:write:chat', 'user:bot']
+        : [
+          'channel:read:redemptions',
+          'channel:manage:redemptions',
+          'bits:read',
+          'channel:read:hype_train',
+          'user:read:chat',
+          'user:write:chat',
+          'channel:bot',
+          'moderation:read'
+        ]
+      ).join('+');
+
+      // force_verify lets you log in as the bot instead of reusing your broadcaster session
+      let url = `https://id.twitch.tv/oauth2/authorize?client_id=${clientId}&redirect_uri=${encodeURIComponent(redirectUri)}&response_type=code&scope=${scopes}`;
+      if (isBot) {
+        url += '&state=bot&force_verify=true';
+      }
       res.json({ url });
     });
 
+    // Disconnect the bot account (chat goes back to the broadcaster account)
+    this.app.post('/api/twitch/bot/remove', async (req, res) => {
+      config.update({
+        twitch: { botName: '', botUserId: '', botAccessToken: '', botRefreshToken: '' }
+      });
+      await twitch.disconnect();
+      await twitch.connect();
+      this.broadcast({ type: 'configUpdated', data: config.getAll() });
+      res.json({ success: true });
+    });
+
+    // Get YouTube OAuth URL (offline access so the bot can refresh its token)
+    this.app.get('/api/youtube/auth-url', (req, res) => {
+      const clientId = config.get('youtube.clientId');
+      const redirectUri = `http://localhost:${config.get('webPort')}/api/youtube/callback`;
+      const params = new URLSearchParams({
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        response_type: 'code',
+        scope: 'https://www.googleapis.com/auth/youtube',
+        access_type: 'offline',
+        prompt: 'consent'
+      });
+      res.json({ url: `https://accounts.google.com/o/oauth2/v2/auth?${params}` });
+    });
+
+    // YouTube OAuth callback
+    this.app.get('/api/youtube/callback', async (req, res) => {
+      const { code } = req.query;
+
+      if (!code) {
+        return res.status(400).send('Missing authorization code');
+      }
+
+      try {
+        const response = await fetch('https://oauth2.googleapis.com/token', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          body: new URLSearchParams({
+            client_id: config.get('youtube.clientId'),
+            client_secret: config.get('youtube.clientSecret'),
+            code: code,
+            grant_type: 'authorization_code',
+            redirect_uri: `http://localhost:${config.get('webPort')}/api/youtube/callback`
+          })
+        });
+
+        const tokens = await response.json();
+        if (!tokens.access_token) {
+          throw new Error(tokens.error_description || 'Token exchange failed');
+        }
+
+        youtube.saveTokens(tokens);
+
+        // Look up which channel was authorized
+        const channels = await youtube.request('GET', '/channels', { part: 'snippet', mine: true });
+        config.update({
+          youtube: { enabled: true, channelName: channels.items?.[0]?.snippet?.title || '' }
+        });
+
+        youtube.disconnect();
+        await youtube.connect();
+        this.broadcast({ type: 'configUpdated', data: config.getAll() });
+
+        res.send(`
+          <html>
+            <body style="background:#1a1a1a;color:#00ff88;font-family:sans-serif;display:flex;justify-content:center;align-items:center;height:100vh;margin:0;">
+              <div style="text-align:center;">
+                <h1>✓ YouTube Connected!</h1>
+                <p>You can close this window and return to the config panel.</p>
+              </div>
+            </body>
+          </html>
+        `);
+      } catch (err) {
+        res.status(500).send(`Error: ${err.message}`);
+      }
+    });
+
+    // Reconnect YouTube (after switching it on/off)
+    this.app.post('/api/youtube/reconnect', async (req, res) => {
+      youtube.disconnect();
+      const success = await youtube.connect();
+      res.json({ success });
+    });
+
+    // Disconnect the YouTube channel
+    this.app.post('/api/youtube/remove', (req, res) => {
+      youtube.disconnect();
+      config.update({
+        youtube: { enabled: false, channelName: '', accessToken: '', refreshToken: '', tokenExpiresAt: 0 }
+      });
+      this.broadcast({ type: 'configUpdated', data: config.getAll() });
+      res.json({ success: true });
+    });
+
     // Twitch OAuth callback
     this.app.get('/api/twitch/callback', async (req, res) => {
-      const { code } = req.query;
+      const { code, state } = req.query;
+      const isBot = state === 'bot';
 
       if (!code) {
         return res.status(400).send('Missing authorization code');
@@ -219,19 +452,40 @@ class WebServer {
 
         const tokens = await response.json();
 
-        if (tokens.access_token) {
+        if (tokens.access_token && isBot) {
+          // Look up which account was authorized
+          const validateResponse = await fetch('https://id.twitch.tv/oauth2/validate', {
+            headers: { 'Authorization': `OAuth ${tokens.access_token}` }
+          });
+          const botUser = await validateResponse.json();
+          if (!botUser.user_id) {
+            throw new Error(botUser.message || 'Could not validate bot token');
+          }
+
+          config.update({
+            twitch: {
+              botName: botUser.login,
+              botUserId: botUser.user_id,
+              botAccessToken: tokens.access_token,
+              botRefreshToken: tokens.refresh_token
+            }
+          });
+        } else if (tokens.access_token) {
           config.set('twitch.accessToken', tokens.access_token);
           config.set('twitch.refreshToken', tokens.refresh_token);
+        }
 
+        if (tokens.access_token) {
           // Reconnect with new tokens
           await twitch.disconnect();
           await twitch.connect();
+          this.broadcast({ type: 'configUpdated', data: config.getAll() });
 
           res.send(`
             <html>
               <body style="background:#1a1a1a;color:#00ff88;font-family:sans-serif;display:flex;justify-content:center;align-items:center;height:100vh;margin:0;">
                 <div style="text-align:center;">
-                  <h1>✓ Twitch Connected!</h1>
+                  <h1>✓ Twitch ${isBot ? 'Bot Account ' : ''}Connected!</h1>
                   <p>You can close this window and return to the config panel.</p>
                 </div>
               </body>
@@ -250,6 +504,45 @@ class WebServer {
       res.json(gameEngine.getHistory());
     });
 
+    // Hype train state, plus manual level/end for testing without a real train
+    this.app.get('/api/hype-train', (req, res) => {
+      res.json(gameEngine.getHypeTrainState());
+    });
+
+    this.app.post('/api/hype-train/level', (req, res) => {
+      const level = parseInt(req.body.level) || 1;
+      res.json(gameEngine.setHypeTrainLevel(level) || { active: false });
+    });
+
+    this.app.post('/api/hype-train/end', (req, res) => {
+      res.json({ success: !!gameEngine.endHypeTrain() });
+    });
+
+    // Active timed effects
+    this.app.get('/api/effects', (req, res) => {
+      res.json(gameEngine.getEffectsState());
+    });
+
+    // End a timed effect early (reverts it like a normal expiry)
+    this.app.post('/api/effects/:id/end', (req, res) => {
+      const result = gameEngine.expireEffect(parseInt(req.params.id));
+      if (result) {
+        res.json({ success: true, ...result });
+      } else {
+        res.status(404).json({ success: false, message: 'Effect not active' });
+      }
+    });
+
+    // Undo the last n actions
+    this.app.post('/api/undo', (req, res) => {
+      const { count = 1, username = 'WebPanel' } = req.body;
+      const result = gameEngine.undo(count, username, { source: 'manual' });
+      if (result.success && result.message) {
+        chat.announce(result.message);
+      }
+      res.json(result);
+    });
+
     // ============ SONG REQUESTS API ============
 
     // Get request queue
@@ -281,6 +574,7 @@ class WebServer {
     this.app.post('/api/requests/toggle', (req, res) => {
       const { enabled } = req.body;
       config.set('requests.enabled', enabled);
+      twitch.syncBumpReward();
       this.broadcast({ type: 'requestsToggled', data: { enabled } });
       res.json({ success: true, enabled });
     });
@@ -327,6 +621,23 @@ class WebServer {
       res.json({ success: true, cleared: count });
     });
 
+    // Queue saved before a restart that was too old to restore (or was cleared)
+    this.app.get('/api/requests/saved', (req, res) => {
+      res.json({ saved: requests.getSavedQueueInfo() });
+    });
+
+    // Restore the saved queue
+    this.app.post('/api/requests/restore', (req, res) => {
+      const count = requests.restoreSavedQueue();
+      this.broadcast({ type: 'requestQueueUpdated', data: { queue: requests.serializeForWeb() } });
+      res.json({ success: count > 0, restored: count });
+    });
+
+    // Throw the saved queue away
+    this.app.delete('/api/requests/saved', (req, res) => {
+      res.json({ success: requests.dismissSavedQueue() });
+    });
+
     // Reload songs index
     this.app.post('/api/songs/reload', (req, res) => {
       this.reloadSongsIndex();
@@ -335,17 +646,12 @@ class WebServer {
 
     // Search songs (for web autocomplete)
     this.app.get('/api/songs/search', (req, res) => {
-      const query = (req.query.q || '').toLowerCase().trim();
+      const query = (req.query.q || '').trim();
       if (!query) {
         return res.json({ songs: [] });
       }
 
-      const matches = this.songsIndex
-        .filter(s =>
-          s.t.toLowerCase().includes(query) ||
-          s.a.toLowerCase().includes(query)
-        )
-        .slice(0, 20);
+      const matches = requests.autocompleteSongs(query, this.songsIndex, 20);
 
       res.json({ songs: matches });
     });
@@ -364,6 +670,8 @@ class WebServer {
         data: {
           config: config.getAll(),
           state: gameEngine.getState(),
+          voting: voting.getVoteState(),
+          teams: teams.getMeter(),
           requestQueue: requests.serializeForWeb(),
           requestsEnabled: config.get('requests.enabled')
         }
@@ -473,6 +781,12 @@ class WebServer {
           data: { effect: msg.effect }
         });
         break;
+
+      case 'mockChat':
+        // Chat message from the test chat (replies come back as mockChatMessage)
+        mockChat.receive({ username: msg.username, roles: msg.roles, text: msg.text })
+          .catch(err => console.error('Test chat error:', err.message));
+        break;
     }
   }
 
@@ -486,9 +800,95 @@ class WebServer {
       this.broadcast({ type: 'autoReset', data: { rate } });
     });
 
+    // Forward voting events (chat announcements + live vote bar)
+    voting.on('voteStarted', (data) => {
+      chat.announce(data.message, data.platform);
+      this.broadcast({ type: 'voteStarted', data });
+    });
+
+    voting.on('voteUpdated', (data) => {
+      this.broadcast({ type: 'voteUpdated', data });
+    });
+
+    voting.on('voteEnded', (data) => {
+      if (data.message) {
+        chat.announce(data.message, data.platform);
+      }
+      this.broadcast({ type: 'voteEnded', data });
+    });
+
+    voting.on('voteCancelled', () => {
+      this.broadcast({ type: 'voteCancelled' });
+    });
+
+    // Forward team events (team meter + song results)
+    teams.on('teamJoined', (data) => {
+      this.broadcast({ type: 'teamJoined', data });
+    });
+
+    teams.on('momentumChanged', (data) => {
+      this.broadcast({ type: 'teamMomentum', data });
+    });
+
+    teams.on('songEnded', (data) => {
+      chat.announce(data.message, data.platform);
+      this.broadcast({ type: 'teamSongEnded', data });
+    });
+
+    teams.on('teamsReset', (data) => {
+      this.broadcast({ type: 'teamMomentum', data });
+    });
+
+    // Timed effects: countdown for overlays, expiry announced in chat
+    gameEngine.on('effectsUpdated', (data) => {
+      this.broadcast({ type: 'effectsUpdated', data });
+    });
+
+    gameEngine.on('effectExpired', (data) => {
+      chat.announce(data.message, data.platform);
+      this.broadcast({ type: 'effectExpired', data });
+    });
+
+    // Hype train: announce level changes, overlays show the escalation
+    gameEngine.on('hypeTrainUpdated', (data) => {
+      if (data.message) {
+        chat.announce(data.message);
+      }
+      this.broadcast({ type: 'hypeTrainUpdated', data });
+    });
+
+    gameEngine.on('hypeTrainEnded', (data) => {
+      chat.announce(data.message);
+      this.broadcast({ type: 'hypeTrainEnded', data });
+    });
+
+    // Cheers from any platform (deduplicated in bits.js)
+    bitsManager.on('cheerProcessed', (data) => {
+      if (data.message) {
+        chat.announce(data.message);
+      }
+    });
+
+    // Subs, raids and follows: chat announcement + GameHUD banner
+    streamEvents.on('streamEvent', (data) => {
+      if (data.message) {
+        chat.announce(data.message);
+      }
+      this.broadcast({ type: 'streamEvent', data });
+    });
+
     // Forward REAPER events
-    reaper.on('playrateChanged', (rate) => {
-      this.broadcast({ type: 'playrateChanged', data: { rate } });
+    reaper.on('playrateChanged', (rate, info = {}) => {
+      this.broadcast({ type: 'playrateChanged', data: { rate, ramping: !!info.ramping } });
+    });
+
+    // Forward playrate ramps so overlays can animate the glide
+    reaper.on('rampStarted', (data) => {
+      this.broadcast({ type: 'playrateRampStarted', data });
+    });
+
+    reaper.on('rampCompleted', (data) => {
+      this.broadcast({ type: 'playrateRampCompleted', data });
     });
 
     // Forward measure-sync events
@@ -524,24 +924,54 @@ class WebServer {
     });
 
     // Handle dynamic pricing updates
-    gameEngine.on('pricesUpdated', async (prices) => {
-      // Update Twitch reward costs
-      await twitch.updateRewardPrices(prices);
+    gameEngine.on('pricesUpdated', (prices) => {
+      // Update Twitch reward costs (queued - can take a while when rate limited)
+      twitch.updateRewardPrices(prices);
       // Broadcast to web clients
       this.broadcast({ type: 'pricesUpdated', data: prices });
     });
 
-    // Forward request events from Twitch
-    twitch.on('requestAdded', (request) => {
+    // Twitch API requests that failed for good (e.g. a price update Twitch rejected)
+    helixQueue.on('requestFailed', (error) => {
+      this.broadcast({ type: 'twitchApiError', data: error });
+    });
+
+    // Test chat lines (viewer messages and bot replies)
+    mockChat.on('message', (line) => {
+      this.broadcast({ type: 'mockChatMessage', data: line });
+    });
+
+    // Forward request events from chat
+    chat.on('requestAdded', (request) => {
       this.broadcast({ type: 'requestAdded', data: request });
       this.broadcast({ type: 'requestQueueUpdated', data: { queue: requests.serializeForWeb() } });
     });
 
-    twitch.on('requestRemoved', (request) => {
+    chat.on('requestRemoved', (request) => {
       this.broadcast({ type: 'requestRemoved', data: request });
       this.broadcast({ type: 'requestQueueUpdated', data: { queue: requests.serializeForWeb() } });
     });
 
+    // Paid bumps (channel points, donations, Super Chats) reorder the queue
+    chat.on('requestBumped', (request) => {
+      this.broadcast({ type: 'requestBumped', data: request });
+      this.broadcast({ type: 'requestQueueUpdated', data: { queue: requests.serializeForWeb() } });
+    });
+
+    // Auto-DJ: requests completed when their song finished in the REAPER playlist
+    autodj.on('requestCompleted', () => {
+      this.broadcast({ type: 'requestQueueUpdated', data: { queue: requests.serializeForWeb() } });
+      this.broadcast({ type: 'autoDjStatus', data: autodj.getStatus() });
+    });
+
+    autodj.on('requestPushed', () => {
+      this.broadcast({ type: 'autoDjStatus', data: autodj.getStatus() });
+    });
+
+    autodj.on('statusChanged', (status) => {
+      this.broadcast({ type: 'autoDjStatus', data: status });
+    });
+
     // Forward request events from requests module
     requests.on('requestCompleted', (request) => {
       this.broadcast({ type: 'requestCompleted', data: request });
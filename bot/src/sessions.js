@@ -0,0 +1,303 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const gameEngine = require('./game-engine');
+const reaper = require('./reaper');
+const EventEmitter = require('events');
+
+// One JSON Lines file per session (append-only, survives crashes)
+const SESSIONS_DIR = path.join(__dirname, '..', 'sessions');
+
+class SessionRecorder extends EventEmitter {
+  constructor() {
+    super();
+    this.current = null;  // { id, file, startedAt, lastPlayrate }
+
+    gameEngine.on('actionProcessed', (data) => {
+      this.record('action', {
+        action: data.action,
+        username: data.username,
+        source: data.source || null,
+        newRate: data.newRate,
+        queued: !!data.queued
+      });
+    });
+
+    gameEngine.on('autoReset', (rate) => {
+      this.record('autoReset', { rate });
+    });
+
+    gameEngine.on('effectExpired', (data) => {
+      this.record('effectExpired', { action: data.effect.action, newRate: data.newRate });
+    });
+
+    // Intermediate ramp steps are skipped - the final rate is what counts
+    reaper.on('playrateChanged', (rate, info = {}) => {
+      if (info.ramping || !this.current) return;
+      if (typeof rate !== 'number' || Math.abs(rate - this.current.lastPlayrate) < 0.01) return;
+      this.current.lastPlayrate = rate;
+      this.record('playrate', { rate });
+    });
+
+    reaper.on('speedChangeQueued', (data) => {
+      this.record('measureSyncQueued', { newRate: data.newRate, warningBeats: data.warningBeats });
+    });
+
+    reaper.on('speedChangeExecuted', (data) => {
+      this.record('measureSyncExecuted', { newRate: data.newRate });
+    });
+
+    reaper.on('speedChangeCancelled', () => {
+      this.record('measureSyncCancelled', {});
+    });
+  }
+
+  /**
+   * Check if session recording is enabled
+   */
+  isEnabled() {
+    return config.get('sessions.enabled') !== false;
+  }
+
+  /**
+   * Start recording a new session
+   * @returns {object|null} Session info
+   */
+  start() {
+    if (!this.isEnabled()) return null;
+    if (this.current) this.end();
+
+    try {
+      fs.mkdirSync(SESSIONS_DIR, { recursive: true });
+    } catch (err) {
+      console.error('Error creating sessions folder:', err.message);
+      return null;
+    }
+
+    const startedAt = Date.now();
+    const id = 'session-' + new Date(startedAt).toISOString().replace(/[:.]/g, '-');
+    const playrate = reaper.getPlayrate();
+
+    this.current = {
+      id,
+      file: path.join(SESSIONS_DIR, `${id}.jsonl`),
+      startedAt,
+      lastPlayrate: playrate
+    };
+
+    this.record('sessionStarted', { playrate });
+    this.pruneSessions();
+
+    console.log(`📼 Recording session: ${id}`);
+    this.emit('sessionStarted', { id, startedAt });
+    return { id, startedAt };
+  }
+
+  /**
+   * Close the current session
+   */
+  end() {
+    if (!this.current) return null;
+
+    const id = this.current.id;
+    this.record('sessionEnded', { playrate: reaper.getPlayrate() });
+    this.current = null;
+
+    console.log(`📼 Session ended: ${id}`);
+    this.emit('sessionEnded', { id });
+    return id;
+  }
+
+  /**
+   * Append an event to the current session file
+   */
+  record(type, data) {
+    if (!this.current) return;
+
+    const event = { type, time: Date.now(), ...data };
+    try {
+      fs.appendFileSync(this.current.file, JSON.stringify(event) + '\n');
+    } catch (err) {
+      console.error('Error recording session event:', err.message);
+    }
+  }
+
+  /**
+   * Delete the oldest session files beyond sessions.maxSessions
+   */
+  pruneSessions() {
+    const maxSessions = config.get('sessions.maxSessions') || 0;
+    if (maxSessions <= 0) return;
+
+    const ids = this.getSessionIds();
+    for (const id of ids.slice(maxSessions)) {
+      try {
+        fs.unlinkSync(path.join(SESSIONS_DIR, `${id}.jsonl`));
+      } catch (err) {
+        console.error('Error removing old session:', err.message);
+      }
+    }
+  }
+
+  /**
+   * Get all recorded session IDs, newest first
+   */
+  getSessionIds() {
+    try {
+      if (!fs.existsSync(SESSIONS_DIR)) return [];
+      return fs.readdirSync(SESSIONS_DIR)
+        .filter(file => file.endsWith('.jsonl'))
+        .map(file => file.replace(/\.jsonl$/, ''))
+        .sort()
+        .reverse();
+    } catch (err) {
+      console.error('Error listing sessions:', err.message);
+      return [];
+    }
+  }
+
+  /**
+   * Read all events of a session
+   * @returns {array|null} Events, or null if the session doesn't exist
+   */
+  loadEvents(id) {
+    // Session IDs are generated by us - anything else is not a session file
+    if (!/^session-[\w-]+$/.test(id)) return null;
+
+    const file = path.join(SESSIONS_DIR, `${id}.jsonl`);
+    try {
+      if (!fs.existsSync(file)) return null;
+      return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+          try {
+            return JSON.parse(line);
+          } catch (err) {
+            return null;  // Partially written line from a crash
+          }
+        })
+        .filter(Boolean);
+    } catch (err) {
+      console.error('Error loading session:', err.message);
+      return null;
+    }
+  }
+
+  /**
+   * Build a report from session events
+   */
+  summarize(id, events) {
+    const live = this.current?.id === id;
+    const first = events[0] || { time: 0 };
+    const last = events[events.length - 1] || first;
+    const endedAt = live ? Date.now() : last.time;
+
+    const summary = {
+      id,
+      live,
+      startedAt: first.time,
+      endedAt: live ? null : last.time,
+      durationMs: endedAt - first.time,
+      totalActions: 0,
+      byAction: {},
+      bySource: {},
+      autoResets: 0,
+      measureSync: { queued: 0, executed: 0, cancelled: 0 },
+      peakPlayrate: null,
+      lowestPlayrate: null,
+      time: { aboveMs: 0, belowMs: 0, normalMs: 0 },
+      topContributors: []
+    };
+
+    const contributors = {};
+    let rate = typeof first.playrate === 'number' ? first.playrate : 1.0;
+    let rateSince = first.time;
+
+    // Time at each playrate is accumulated whenever the rate changes
+    const trackRate = (newRate, time) => {
+      const elapsed = Math.max(0, time - rateSince);
+      if (rate > 1.0) summary.time.aboveMs += elapsed;
+      else if (rate < 1.0) summary.time.belowMs += elapsed;
+      else summary.time.normalMs += elapsed;
+
+      rate = newRate;
+      rateSince = time;
+
+      if (summary.peakPlayrate === null || newRate > summary.peakPlayrate) summary.peakPlayrate = newRate;
+      if (summary.lowestPlayrate === null || newRate < summary.lowestPlayrate) summary.lowestPlayrate = newRate;
+    };
+    trackRate(rate, first.time);
+
+    for (const event of events) {
+      switch (event.type) {
+        case 'action': {
+          summary.totalActions++;
+          summary.byAction[event.action] = (summary.byAction[event.action] || 0) + 1;
+          const source = event.source || 'unknown';
+          summary.bySource[source] = (summary.bySource[source] || 0) + 1;
+
+          if (event.username) {
+            const key = event.username.toLowerCase();
+            const contributor = contributors[key] || (contributors[key] = { username: event.username, actions: 0, byAction: {} });
+            contributor.actions++;
+            contributor.byAction[event.action] = (contributor.byAction[event.action] || 0) + 1;
+          }
+          break;
+        }
+        case 'playrate':
+          trackRate(event.rate, event.time);
+          break;
+        case 'autoReset':
+          summary.autoResets++;
+          break;
+        case 'measureSyncQueued':
+          summary.measureSync.queued++;
+          break;
+        case 'measureSyncExecuted':
+          summary.measureSync.executed++;
+          break;
+        case 'measureSyncCancelled':
+          summary.measureSync.cancelled++;
+          break;
+      }
+    }
+    trackRate(rate, endedAt);
+
+    summary.topContributors = Object.values(contributors)
+      .sort((a, b) => b.actions - a.actions)
+      .slice(0, 10);
+
+    return summary;
+  }
+
+  /**
+   * List all sessions with their summaries, newest first
+   */
+  listSessions() {
+    return this.getSessionIds()
+      .map(id => {
+        const events = this.loadEvents(id);
+        return events ? this.summarize(id, events) : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Get a full session report (summary + events)
+   */
+  getReport(id) {
+    const events = this.loadEvents(id);
+    if (!events) return null;
+    return { ...this.summarize(id, events), events };
+  }
+
+  /**
+   * Get the current session ID
+   */
+  getCurrentId() {
+    return this.current?.id || null;
+  }
+}
+
+module.exports = new SessionRecorder();
@@ -0,0 +1,202 @@
+const config = require('./config');
+const gameEngine = require('./game-engine');
+const EventEmitter = require('events');
+
+// Gifted subs from a bomb also arrive one by one - forget the bomb after this long
+const GIFT_BOMB_WINDOW_MS = 60000;
+
+class StreamEventsManager extends EventEmitter {
+  constructor() {
+    super();
+    this.giftBombs = new Map();     // gifter (lowercase) -> { remaining, expiresAt }
+    this.seenFollowers = new Set(); // Follow/unfollow spam only counts once per run
+  }
+
+  /**
+   * Get the rule for an event type, or null if it's switched off
+   * @param {string} type - 'raid', 'subscription', 'giftSubs' or 'follow'
+   */
+  getRule(type) {
+    const eventsConfig = config.get('streamEvents');
+    if (!eventsConfig?.enabled) return null;
+
+    const rule = eventsConfig[type];
+    return rule?.enabled ? rule : null;
+  }
+
+  /**
+   * Handle a raid
+   */
+  handleRaid(username, viewers, platform) {
+    console.log(`🚨 Raid: ${username} with ${viewers} viewers`);
+
+    const rule = this.getRule('raid');
+    if (!rule) return null;
+
+    if (viewers < (rule.minViewers || 0)) {
+      this.emitEvent('raid', username, platform, { viewers });
+      return null;
+    }
+
+    const result = gameEngine.processAction(rule.action, username, {
+      source: 'raid',
+      viewers,
+      platform
+    });
+
+    this.emitEvent('raid', username, platform, {
+      viewers,
+      action: rule.action,
+      success: result.success,
+      newRate: result.newRate ?? null,
+      message: this.buildMessage(rule, result, { user: username, viewers: String(viewers) })
+    });
+    return result;
+  }
+
+  /**
+   * Handle a new sub or resub (gifted subs go through handleGiftedSub)
+   */
+  handleSubscription(username, months, platform) {
+    console.log(`⭐ Sub: ${username} (${months || 1} months)`);
+
+    const rule = this.getRule('subscription');
+    if (!rule) return null;
+
+    const result = gameEngine.processAction(rule.action, username, {
+      source: 'subscription',
+      months,
+      platform
+    });
+
+    this.emitEvent('subscription', username, platform, {
+      months,
+      action: rule.action,
+      success: result.success,
+      newRate: result.newRate ?? null,
+      message: this.buildMessage(rule, result, { user: username, months: String(months || 1) })
+    });
+    return result;
+  }
+
+  /**
+   * Handle a sub bomb (community gift of several subs at once)
+   */
+  handleGiftSubs(gifter, count, platform) {
+    gifter = gifter || 'Anonymous';
+    console.log(`🎁 Gift subs: ${gifter} gifted ${count}`);
+
+    // The individual gifted subs that follow are part of this bomb
+    this.giftBombs.set(gifter.toLowerCase(), {
+      remaining: count,
+      expiresAt: Date.now() + GIFT_BOMB_WINDOW_MS
+    });
+
+    return this.applyGiftSubs(gifter, count, platform);
+  }
+
+  /**
+   * Handle a single gifted sub, skipping the ones announced by a sub bomb
+   */
+  handleGiftedSub(gifter, recipient, platform) {
+    gifter = gifter || 'Anonymous';
+    const key = gifter.toLowerCase();
+    const bomb = this.giftBombs.get(key);
+
+    if (bomb && bomb.expiresAt > Date.now() && bomb.remaining > 0) {
+      bomb.remaining--;
+      if (bomb.remaining === 0) this.giftBombs.delete(key);
+      return null;
+    }
+    this.giftBombs.delete(key);
+
+    console.log(`🎁 Gift sub: ${gifter} → ${recipient}`);
+    return this.applyGiftSubs(gifter, 1, platform);
+  }
+
+  /**
+   * Speed up by incrementPerSub for every gifted sub
+   */
+  applyGiftSubs(gifter, count, platform) {
+    const rule = this.getRule('giftSubs');
+    if (!rule || count <= 0) return null;
+
+    const increment = Math.min(
+      count * (rule.incrementPerSub || 0.05),
+      rule.maxIncrement || Infinity
+    );
+
+    const result = gameEngine.processAction('speedUp', gifter, {
+      source: 'giftSubs',
+      count,
+      increment,
+      platform
+    });
+
+    this.emitEvent('giftSubs', gifter, platform, {
+      count,
+      increment,
+      action: 'speedUp',
+      success: result.success,
+      newRate: result.newRate ?? null,
+      message: this.buildMessage(rule, result, {
+        user: gifter,
+        count: String(count),
+        increment: increment.toFixed(2)
+      })
+    });
+    return result;
+  }
+
+  /**
+   * Handle a new follower (visual only - no playrate change)
+   */
+  handleFollow(username, platform) {
+    const rule = this.getRule('follow');
+    if (!rule) return;
+
+    const key = username.toLowerCase();
+    if (this.seenFollowers.has(key)) return;
+    this.seenFollowers.add(key);
+
+    console.log(`💜 New follower: ${username}`);
+
+    const message = config.get('game.announcements.enabled')
+      ? gameEngine.formatTemplate(rule.message, { user: username })
+      : '';
+
+    this.emitEvent('follow', username, platform, {
+      hudEffect: rule.hudEffect || 'none',
+      message
+    });
+  }
+
+  /**
+   * Build the chat announcement for a triggered action
+   * Rejections (e.g. cooldowns) announce the reason instead of the rule message
+   */
+  buildMessage(rule, result, data) {
+    if (!config.get('game.announcements.enabled')) return '';
+
+    // Raids and subs keep coming while game mode is off - no need to say so every time
+    if (!result.success) return result.reason === 'disabled' ? '' : (result.message || '');
+    return gameEngine.formatTemplate(rule.message, {
+      ...data,
+      rate: result.newRate?.toFixed(2)
+    }) || result.message || '';
+  }
+
+  /**
+   * Emit a stream event for chat and overlays
+   */
+  emitEvent(type, username, platform, data = {}) {
+    this.emit('streamEvent', {
+      type,
+      username,
+      platform: platform || null,
+      ...data
+    });
+  }
+}
+
+module.exports = new StreamEventsManager();
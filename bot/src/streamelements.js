@@ -1,7 +1,9 @@
 const { io } = require('socket.io-client');
 const config = require('./config');
 const gameEngine = require('./game-engine');
-const twitch = require('./twitch');
+const chat = require('./chat');
+const streamEvents = require('./stream-events');
+const bitsManager = require('./bits');
 const EventEmitter = require('events');
 
 class StreamElementsIntegration extends EventEmitter {
@@ -76,8 +78,55 @@ class StreamElementsIntegration extends EventEmitter {
       this.handleTip(event);
     } else if (type === 'cheer') {
       this.handleCheer(event);
+    } else if (type === 'subscriber') {
+      this.handleSubscriber(event);
+    } else if (type === 'communityGiftPurchase') {
+      this.handleCommunityGift(event);
+    } else if (type === 'raid') {
+      this.handleRaid(event);
+    } else if (type === 'follow') {
+      this.handleFollow(event);
     }
-    // Can also handle: subscriber, follow, host, raid, etc.
+  }
+
+  /**
+   * Handle subscriber event (new subs, resubs and single gifted subs)
+   */
+  handleSubscriber(event) {
+    const data = event.data;
+    const username = data.displayName || data.username;
+
+    if (data.gifted) {
+      streamEvents.handleGiftedSub(data.sender, username, 'streamelements');
+    } else {
+      streamEvents.handleSubscription(username, parseInt(data.amount) || 1, 'streamelements');
+    }
+  }
+
+  /**
+   * Handle sub bomb (community gift) event
+   */
+  handleCommunityGift(event) {
+    const data = event.data;
+    const gifter = data.displayName || data.username || data.sender;
+    streamEvents.handleGiftSubs(gifter, parseInt(data.amount) || 1, 'streamelements');
+  }
+
+  /**
+   * Handle raid event
+   */
+  handleRaid(event) {
+    const data = event.data;
+    const username = data.displayName || data.username;
+    streamEvents.handleRaid(username, parseInt(data.amount) || 0, 'streamelements');
+  }
+
+  /**
+   * Handle follow event
+   */
+  handleFollow(event) {
+    const data = event.data;
+    streamEvents.handleFollow(data.displayName || data.username, 'streamelements');
   }
 
   /**
@@ -94,6 +143,9 @@ class StreamElementsIntegration extends EventEmitter {
 
     console.log(`💰 StreamElements Tip: ${username} - ${currency}${amount}`);
 
+    // Big enough tips also bump the donor's song request
+    chat.bumpForDonation(username, username, amount);
+
     // Find matching action based on amount
     const matchingAction = donationsConfig.actions.find(action => {
       const minOk = amount >= action.minAmount;
@@ -111,13 +163,16 @@ class StreamElementsIntegration extends EventEmitter {
 
       // Send chat announcement
       if (config.get('game.announcements.enabled')) {
-        let message = matchingAction.message || result.message;
+        // Rejections (e.g. per-user limits) announce the reason instead of the donation message
+        let message = (result.success && matchingAction.message) || result.message || '';
         message = message
           .replace('{user}', username)
           .replace('{amount}', amount.toFixed(2))
           .replace('{rate}', result.newRate?.toFixed(2) || '');
 
-        twitch.sendChat(message);
+        if (message) {
+          chat.announce(message);
+        }
       }
 
       this.emit('tipProcessed', {
@@ -146,6 +201,17 @@ class StreamElementsIntegration extends EventEmitter {
       bits,
       dollarEquivalent
     });
+
+    // Tier matching and dedupe against Twitch / Streamlabs happen in bits.js
+    const processed = bitsManager.handleCheer(username, bits, 'streamelements');
+    if (processed) {
+      this.emit('cheerProcessed', {
+        username,
+        bits,
+        action: processed.action,
+        result: processed.result
+      });
+    }
   }
 
   /**
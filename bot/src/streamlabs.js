@@ -1,7 +1,9 @@
 const { io } = require('socket.io-client');
 const config = require('./config');
 const gameEngine = require('./game-engine');
-const twitch = require('./twitch');
+const chat = require('./chat');
+const streamEvents = require('./stream-events');
+const bitsManager = require('./bits');
 const EventEmitter = require('events');
 
 class StreamlabsIntegration extends EventEmitter {
@@ -64,8 +66,61 @@ class StreamlabsIntegration extends EventEmitter {
       this.handleDonation(event);
     } else if (type === 'bits') {
       this.handleBits(event);
+    } else if (type === 'subscription' || type === 'resub') {
+      this.handleSubscription(event);
+    } else if (type === 'subMysteryGift') {
+      this.handleSubMysteryGift(event);
+    } else if (type === 'raid') {
+      this.handleRaid(event);
+    } else if (type === 'follow') {
+      this.handleFollow(event);
+    }
+  }
+
+  /**
+   * Handle subscription event (new subs, resubs and single gifted subs)
+   */
+  handleSubscription(event) {
+    for (const message of event.message) {
+      const username = message.display_name || message.name;
+
+      if (message.sub_type === 'subgift' || message.gifter) {
+        streamEvents.handleGiftedSub(message.gifter_display_name || message.gifter, username, 'streamlabs');
+      } else {
+        streamEvents.handleSubscription(username, parseInt(message.months) || 1, 'streamlabs');
+      }
+    }
+  }
+
+  /**
+   * Handle sub bomb (community gift) event
+   */
+  handleSubMysteryGift(event) {
+    for (const message of event.message) {
+      const gifter = message.gifter_display_name || message.gifter || message.name;
+      const count = parseInt(message.amount) || 1;
+      streamEvents.handleGiftSubs(gifter, count, 'streamlabs');
+    }
+  }
+
+  /**
+   * Handle raid event
+   */
+  handleRaid(event) {
+    for (const message of event.message) {
+      const username = message.display_name || message.name;
+      const viewers = parseInt(message.raiders) || 0;
+      streamEvents.handleRaid(username, viewers, 'streamlabs');
+    }
+  }
+
+  /**
+   * Handle follow event
+   */
+  handleFollow(event) {
+    for (const message of event.message) {
+      streamEvents.handleFollow(message.name, 'streamlabs');
     }
-    // Can also handle: subscription, follow, host, raid, etc.
   }
 
   /**
@@ -82,6 +137,9 @@ class StreamlabsIntegration extends EventEmitter {
 
       console.log(`💰 Donation: ${username} - ${currency}${amount}`);
 
+      // Big enough donations also bump the donor's song request
+      chat.bumpForDonation(username, username, amount);
+
       // Find matching action based on amount
       const matchingAction = donationsConfig.actions.find(action => {
         const minOk = amount >= action.minAmount;
@@ -98,13 +156,16 @@ class StreamlabsIntegration extends EventEmitter {
 
         // Send chat announcement
         if (config.get('game.announcements.enabled')) {
-          let message = matchingAction.message || result.message;
+          // Rejections (e.g. per-user limits) announce the reason instead of the donation message
+          let message = (result.success && matchingAction.message) || result.message || '';
           message = message
             .replace('{user}', username)
             .replace('{amount}', amount.toFixed(2))
             .replace('{rate}', result.newRate?.toFixed(2) || '');
 
-          twitch.sendChat(message);
+          if (message) {
+            chat.announce(message);
+          }
         }
 
         this.emit('donationProcessed', {
@@ -122,7 +183,6 @@ class StreamlabsIntegration extends EventEmitter {
    * Handle bits event
    */
   handleBits(event) {
-    // Bits can be handled similarly to donations
     // Convert bits to dollar equivalent (100 bits ≈ $1)
     for (const message of event.message) {
       const bits = parseInt(message.amount);
@@ -131,13 +191,22 @@ class StreamlabsIntegration extends EventEmitter {
 
       console.log(`💎 Bits: ${username} - ${bits} bits (~$${dollarEquivalent.toFixed(2)})`);
 
-      // You could process bits similarly to donations
-      // Or have separate bit thresholds
       this.emit('bitsReceived', {
         username,
         bits,
         dollarEquivalent
       });
+
+      // Tier matching and dedupe against Twitch / StreamElements happen in bits.js
+      const processed = bitsManager.handleCheer(username, bits, 'streamlabs');
+      if (processed) {
+        this.emit('bitsProcessed', {
+          username,
+          bits,
+          action: processed.action,
+          result: processed.result
+        });
+      }
     }
   }
 
@@ -0,0 +1,279 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const gameEngine = require('./game-engine');
+const reaper = require('./reaper');
+const EventEmitter = require('events');
+
+// Persistent team state for the current stream
+const TEAMS_STATE_FILE = path.join(__dirname, '..', 'teams_state.json');
+
+// Which action pushes momentum toward which team
+const TEAM_ACTIONS = {
+  speedUp: 'fire',
+  slowDown: 'ice'
+};
+
+const TEAMS = ['fire', 'ice'];
+
+class TeamsManager extends EventEmitter {
+  constructor() {
+    super();
+    this.state = this.loadState();
+
+    // Every processed speedUp/slowDown counts toward team momentum
+    gameEngine.on('actionProcessed', (data) => {
+      this.handleAction(data);
+    });
+
+    // Transport stopping marks the end of a song
+    reaper.on('transportChanged', ({ playing }) => {
+      if (playing || !config.get('game.teams.endSongOnStop')) return;
+      // Measure-sync stops playback for its pre-count - that's not the end of a song
+      if (reaper.hasPendingChange()) return;
+      this.endSong();
+    });
+  }
+
+  /**
+   * Create empty state for a new stream
+   */
+  createState() {
+    return {
+      streamStartedAt: Date.now(),
+      members: {},   // lowercase username -> 'fire' | 'ice'
+      score: {
+        fire: { songsWon: 0, points: 0 },
+        ice: { songsWon: 0, points: 0 }
+      },
+      song: { fire: 0, ice: 0, startedAt: Date.now() },
+      songsPlayed: 0
+    };
+  }
+
+  /**
+   * Load persistent team state
+   */
+  loadState() {
+    try {
+      if (fs.existsSync(TEAMS_STATE_FILE)) {
+        return { ...this.createState(), ...JSON.parse(fs.readFileSync(TEAMS_STATE_FILE, 'utf8')) };
+      }
+    } catch (err) {
+      console.error('Error loading team state:', err.message);
+    }
+    return this.createState();
+  }
+
+  /**
+   * Save team state
+   */
+  saveState() {
+    try {
+      fs.writeFileSync(TEAMS_STATE_FILE, JSON.stringify(this.state, null, 2));
+    } catch (err) {
+      console.error('Error saving team state:', err.message);
+    }
+  }
+
+  /**
+   * Check if team mode is enabled
+   */
+  isEnabled() {
+    return !!config.get('game.teams.enabled');
+  }
+
+  /**
+   * Get the team a join command belongs to (e.g. '!fire' -> 'fire')
+   */
+  getTeamForCommand(cmd) {
+    const joinCommands = config.get('game.teams.joinCommands') || {};
+    return TEAMS.find(team => (joinCommands[team] || []).map(c => c.toLowerCase()).includes(cmd)) || null;
+  }
+
+  /**
+   * Check if a chat command is a team join command
+   */
+  isJoinCommand(cmd) {
+    return this.isEnabled() && !!this.getTeamForCommand(cmd);
+  }
+
+  /**
+   * Get a user's team
+   */
+  getTeam(username) {
+    return this.state.members[(username || '').toLowerCase()] || null;
+  }
+
+  /**
+   * Join a team (teams are locked for the rest of the stream)
+   * @returns {object} { success, team, message }
+   */
+  joinTeam(username, team) {
+    if (!TEAMS.includes(team)) {
+      return { success: false, reason: 'unknownTeam' };
+    }
+
+    const current = this.getTeam(username);
+    if (current) {
+      return {
+        success: false,
+        reason: 'alreadyOnTeam',
+        team: current,
+        message: this.formatMessage('alreadyOnTeam', { user: username, team: this.getTeamLabel(current) })
+      };
+    }
+
+    this.state.members[username.toLowerCase()] = team;
+    this.saveState();
+
+    console.log(`🔥🧊 ${username} joined team ${team}`);
+    this.emit('teamJoined', { username, team, ...this.getMeter() });
+
+    return {
+      success: true,
+      team,
+      message: this.formatMessage('joined', { user: username, team: this.getTeamLabel(team) })
+    };
+  }
+
+  /**
+   * Count a processed game action toward team momentum
+   */
+  handleAction(data) {
+    if (!this.isEnabled()) return;
+
+    const team = TEAM_ACTIONS[data.action];
+    if (!team || !data.username) return;
+
+    // First redemption picks your team
+    let memberTeam = this.getTeam(data.username);
+    if (!memberTeam && config.get('game.teams.autoJoinOnAction') && data.source !== 'vote') {
+      memberTeam = this.joinTeam(data.username, team).team;
+    }
+
+    // Only actions pushing in your own team's direction count
+    if (memberTeam !== team) return;
+
+    const points = config.get('game.teams.pointsPerAction') || 1;
+    this.state.song[team] += points;
+    this.state.score[team].points += points;
+    if (data.platform === 'mock') {
+      // Points from the test chat, so a rehearsal's result isn't announced on stream
+      this.state.song.testPoints = (this.state.song.testPoints || 0) + points;
+    }
+    this.saveState();
+
+    this.emit('momentumChanged', { team, username: data.username, points, ...this.getMeter() });
+  }
+
+  /**
+   * Close out the current song and announce the winning team
+   * @returns {object} { winner, song, score, message }
+   */
+  endSong() {
+    if (!this.isEnabled()) return null;
+
+    const song = this.state.song;
+    if (song.fire === 0 && song.ice === 0) {
+      // Nobody played this round - just restart the song counter
+      this.state.song = { fire: 0, ice: 0, startedAt: Date.now() };
+      this.saveState();
+      return null;
+    }
+
+    let winner = null;
+    if (song.fire > song.ice) winner = 'fire';
+    else if (song.ice > song.fire) winner = 'ice';
+
+    if (winner) {
+      this.state.score[winner].songsWon++;
+    }
+    this.state.songsPlayed++;
+
+    const message = winner
+      ? this.formatMessage('songWinner', {
+        team: this.getTeamLabel(winner),
+        points: song[winner],
+        otherPoints: String(song[winner === 'fire' ? 'ice' : 'fire']),
+        fireWins: String(this.state.score.fire.songsWon),
+        iceWins: String(this.state.score.ice.songsWon)
+      })
+      : this.formatMessage('songTie', {
+        points: song.fire,
+        fireWins: String(this.state.score.fire.songsWon),
+        iceWins: String(this.state.score.ice.songsWon)
+      });
+
+    const result = { winner, song: { ...song }, score: this.state.score, message };
+
+    this.state.song = { fire: 0, ice: 0, startedAt: Date.now() };
+    this.saveState();
+
+    const platform = song.testPoints === song.fire + song.ice ? 'mock' : null;
+
+    console.log(`🔥🧊 Song ended: ${winner || 'tie'} (${result.song.fire} vs ${result.song.ice})`);
+    this.emit('songEnded', { ...result, ...this.getMeter(), platform });
+    return result;
+  }
+
+  /**
+   * Start a fresh stream: clear rosters and scores
+   */
+  resetStream() {
+    this.state = this.createState();
+    this.saveState();
+    this.emit('teamsReset', this.getMeter());
+  }
+
+  /**
+   * Get the team meter for broadcasting
+   * balance: -1 (all ice) to 1 (all fire) for the current song
+   */
+  getMeter() {
+    const { song, score, members } = this.state;
+    const total = song.fire + song.ice;
+    const roster = Object.values(members);
+
+    return {
+      enabled: this.isEnabled(),
+      song: { fire: song.fire, ice: song.ice },
+      balance: total > 0 ? (song.fire - song.ice) / total : 0,
+      score,
+      songsPlayed: this.state.songsPlayed,
+      members: {
+        fire: roster.filter(t => t === 'fire').length,
+        ice: roster.filter(t => t === 'ice').length
+      }
+    };
+  }
+
+  /**
+   * Get score summary message
+   */
+  getScoreMessage() {
+    const { song, score } = this.state;
+    return this.formatMessage('score', {
+      fireWins: String(score.fire.songsWon),
+      iceWins: String(score.ice.songsWon),
+      firePoints: String(song.fire),
+      icePoints: String(song.ice)
+    });
+  }
+
+  /**
+   * Get display label for a team
+   */
+  getTeamLabel(team) {
+    return config.get(`game.teams.labels.${team}`) || team;
+  }
+
+  /**
+   * Format team chat message with placeholders
+   */
+  formatMessage(type, data) {
+    return gameEngine.formatTemplate(config.get(`game.teams.messages.${type}`), data);
+  }
+}
+
+module.exports = new TeamsManager();
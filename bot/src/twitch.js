@@ -1,42 +1,52 @@
 const { ApiClient } = require('@twurple/api');
 const { RefreshingAuthProvider } = require('@twurple/auth');
 const { EventSubWsListener } = require('@twurple/eventsub-ws');
-const tmi = require('tmi.js');
 const config = require('./config');
 const gameEngine = require('./game-engine');
 const reaper = require('./reaper');
-const requests = require('./requests');
+const actions = require('./actions');
+const bitsManager = require('./bits');
+const chat = require('./chat');
+const helixQueue = require('./helix-queue');
 const EventEmitter = require('events');
 
-// Load access denied jokes from JSON
-const accessDeniedJokes = require('./access-denied-jokes.json');
-
-/**
- * Get a random access denied joke
- */
-function getAccessDeniedJoke() {
-  const jokes = accessDeniedJokes.jokes;
-  return jokes[Math.floor(Math.random() * jokes.length)];
-}
+// Channel point reward that bumps a song request (managed with song requests, not game mode)
+const BUMP_REWARD_PATH = 'requests.priority.bump.reward';
 
 class TwitchIntegration extends EventEmitter {
   constructor() {
     super();
+    this.name = 'twitch';   // Chat provider ID (see chat.js)
+    this.label = 'Twitch';
     this.authProvider = null;
     this.apiClient = null;
     this.eventSubListener = null;
-    this.chatClient = null;
+    this.chatUserId = null;  // Account that reads and sends chat (bot account or broadcaster)
     this.connected = false;
     this.rewardsCreated = false;
-    this.songsIndex = [];  // Will be set by server when loaded
-  }
 
-  /**
-   * Set the songs index for request matching
-   */
-  setSongsIndex(songs) {
-    this.songsIndex = songs || [];
-    console.log(`   Songs index loaded: ${this.songsIndex.length} songs`);
+    // Redemptions held unfulfilled so an undo can still refund them: redemptionId -> { rewardId, timer }
+    this.pendingFulfillments = new Map();
+
+    // Redemptions behind the pending measure-sync change: [{ rewardId, redemptionId, username, action }]
+    this.queuedRedemptions = [];
+
+    // Settle them when the change plays, refund them when it never does
+    reaper.on('speedChangeExecuted', () => this.settleQueuedRedemptions());
+    reaper.on('speedChangeSuperseded', () => this.refundQueuedRedemptions('queuedSuperseded'));
+    reaper.on('speedChangeCancelled', () => this.refundQueuedRedemptions('queuedCancelled'));
+
+    // Refund redemptions that were undone by a mod
+    gameEngine.on('actionsUndone', ({ entries }) => {
+      if (!config.get('game.undo.refundRedemptions')) return;
+      for (const entry of entries) {
+        if (entry.redemption) {
+          this.refundUndoneRedemption(entry);
+        }
+      }
+    });
+
+    chat.register(this);
   }
 
   /**
@@ -58,20 +68,35 @@ class TwitchIntegration extends EventEmitter {
       });
 
       this.authProvider.onRefresh(async (userId, newTokenData) => {
-        config.set('twitch.accessToken', newTokenData.accessToken);
-        config.set('twitch.refreshToken', newTokenData.refreshToken);
-        console.log('🔄 Twitch token refreshed');
+        const isBot = this.usesBotAccount() && userId === config.get('twitch.botUserId');
+        config.set(isBot ? 'twitch.botAccessToken' : 'twitch.accessToken', newTokenData.accessToken);
+        config.set(isBot ? 'twitch.botRefreshToken' : 'twitch.refreshToken', newTokenData.refreshToken);
+        console.log(`🔄 Twitch ${isBot ? 'bot ' : ''}token refreshed`);
       });
 
-      await this.authProvider.addUserForToken({
+      const broadcasterUserId = await this.authProvider.addUserForToken({
         accessToken: twitchConfig.accessToken,
         refreshToken: twitchConfig.refreshToken,
         expiresIn: 0,
         obtainmentTimestamp: 0
       }, ['chat']);
 
+      // Optional separate bot account for chat
+      if (this.usesBotAccount()) {
+        await this.authProvider.addUserForToken({
+          accessToken: twitchConfig.botAccessToken,
+          refreshToken: twitchConfig.botRefreshToken,
+          expiresIn: 0,
+          obtainmentTimestamp: 0
+        });
+        this.chatUserId = twitchConfig.botUserId;
+      } else {
+        this.chatUserId = broadcasterUserId;
+      }
+
       // Create API client
       this.apiClient = new ApiClient({ authProvider: this.authProvider });
+      helixQueue.setApiClient(this.apiClient);
 
       // Get broadcaster ID if not set
       if (!twitchConfig.broadcasterId) {
@@ -82,11 +107,12 @@ class TwitchIntegration extends EventEmitter {
         }
       }
 
-      // Connect to EventSub for channel point redemptions
+      // Connect to EventSub for channel point redemptions and chat
       await this.connectEventSub();
 
-      // Connect to chat for announcements
-      await this.connectChat();
+      // Pick up rewards left over from the last run (or a crash) before creating new ones
+      await this.reconcileRewards();
+      await this.syncBumpReward();
 
       this.connected = true;
       console.log('🟣 Twitch connected');
@@ -115,385 +141,389 @@ class TwitchIntegration extends EventEmitter {
       await this.handleRedemption(event);
     });
 
-    this.eventSubListener.start();
-    console.log('   EventSub listener started');
-  }
+    // Listen for cheers (needs the bits:read scope)
+    await this.eventSubListener.onChannelCheer(twitchConfig.broadcasterId, (event) => {
+      this.handleCheer(event);
+    });
 
-  /**
-   * Connect to Twitch chat for announcements
-   */
-  async connectChat() {
-    const twitchConfig = config.get('twitch');
+    // Hype train escalation (needs the channel:read:hype_train scope)
+    await this.eventSubListener.onChannelHypeTrainBegin(twitchConfig.broadcasterId, (event) => {
+      this.handleHypeTrainProgress(event);
+    });
 
-    this.chatClient = new tmi.Client({
-      options: { debug: false },
-      identity: {
-        username: twitchConfig.botName || twitchConfig.broadcasterName,
-        password: `oauth:${twitchConfig.accessToken}`
-      },
-      channels: [twitchConfig.broadcasterName]
+    await this.eventSubListener.onChannelHypeTrainProgress(twitchConfig.broadcasterId, (event) => {
+      this.handleHypeTrainProgress(event);
     });
 
-    this.chatClient.on('connected', () => {
-      console.log('   Chat connected');
+    await this.eventSubListener.onChannelHypeTrainEnd(twitchConfig.broadcasterId, () => {
+      gameEngine.endHypeTrain();
     });
 
-    // Handle chat messages for commands
-    this.chatClient.on('message', (channel, tags, message, self) => {
-      if (self) return;  // Ignore bot's own messages
-      this.handleChatMessage(channel, tags, message);
+    // Listen for chat messages (read as the chat account)
+    await this.eventSubListener.onChannelChatMessage(twitchConfig.broadcasterId, this.chatUserId, (event) => {
+      if (event.chatterId === this.chatUserId) return;  // Ignore bot's own messages
+      chat.handleMessage(this, this.getChatMessage(event));
     });
 
-    await this.chatClient.connect();
+    this.eventSubListener.start();
+    console.log(`   EventSub listener started (chat as ${this.usesBotAccount() ? twitchConfig.botName : twitchConfig.broadcasterName})`);
   }
 
   /**
-   * Handle incoming chat message for commands
+   * Check if a separate bot account is connected for chat
    */
-  async handleChatMessage(channel, tags, message) {
-    const trimmedMsg = message.trim();
-    const cmd = trimmedMsg.split(' ')[0].toLowerCase();
-
-    // Mod/Broadcaster command: !playrate <value>
-    if (cmd === '!playrate') {
-      await this.handlePlayrateCommand(channel, tags, trimmedMsg);
-      return;
-    }
-
-    // Mod/Broadcaster command: !testreaper
-    if (cmd === '!testreaper') {
-      this.handleTestReaperCommand(channel, tags);
-      return;
-    }
+  usesBotAccount() {
+    const twitchConfig = config.get('twitch');
+    return !!(twitchConfig.botUserId && twitchConfig.botAccessToken &&
+              twitchConfig.botUserId !== twitchConfig.broadcasterId);
+  }
 
-    // Mod/Broadcaster command: !reapercommands
-    if (cmd === '!reapercommands' || cmd === '!reaperhelp') {
-      this.handleReaperCommandsCommand(channel, tags);
-      return;
-    }
+  /**
+   * Turn a chat message event into the message format chat.js handles
+   */
+  getChatMessage(event) {
+    const badges = event.badges || {};
+    const roles = [];
 
-    // Song request commands require requests to be enabled
-    const reqConfig = config.get('requests');
-    if (!reqConfig?.enabled) return;
+    if (badges.subscriber || badges.founder) roles.push('subscriber');
+    if (badges.vip) roles.push('vip');
+    if (badges.moderator) roles.push('moderator');
+    if (badges.broadcaster) roles.push('broadcaster');
 
-    // Check for request commands
-    const requestCommands = [reqConfig.command, ...(reqConfig.aliases || [])].map(c => c.toLowerCase());
+    return {
+      userId: event.chatterId,
+      username: event.chatterName,
+      displayName: event.chatterDisplayName,
+      roles,
+      text: event.messageText
+    };
+  }
 
-    if (requestCommands.includes(cmd)) {
-      await this.handleSongRequest(channel, tags, trimmedMsg);
-      return;
-    }
+  /**
+   * Chat provider: check if messages can be sent
+   */
+  isConnected() {
+    return this.connected;
+  }
 
-    // Queue position check (!queue, !position, !myrequest)
-    if (['!queue', '!position', '!myrequest', '!song'].includes(cmd)) {
-      await this.handleQueueCheck(channel, tags);
-      return;
-    }
+  /**
+   * Chat provider: get a chatter's profile picture
+   */
+  async getAvatarUrl(userId) {
+    const user = await this.apiClient.users.getUserById(userId);
+    return user?.profilePictureUrl || null;
+  }
 
-    // Cancel request (!cancel, !cancelrequest)
-    if (['!cancel', '!cancelrequest'].includes(cmd)) {
-      await this.handleCancelRequest(channel, tags);
-      return;
-    }
+  /**
+   * Chat provider: check if a chatter follows the channel
+   */
+  async isFollower(userId) {
+    const broadcasterId = config.get('twitch.broadcasterId');
+    const follow = await this.apiClient.channels.getChannelFollowers(broadcasterId, userId);
+    return !!follow?.data?.length;
   }
 
   /**
-   * Handle !playrate command (mod/broadcaster only)
+   * Handle channel point redemption
    */
-  async handlePlayrateCommand(channel, tags, message) {
-    const username = tags.username;
-    const displayName = tags['display-name'] || username;
-    const isMod = tags.mod || tags.badges?.moderator;
-    const isBroadcaster = tags.badges?.broadcaster;
+  async handleRedemption(event) {
+    const rewardId = event.rewardId;
+    const username = event.userName;
+    const userId = event.userId;
 
-    // Check permissions
-    if (!isMod && !isBroadcaster) {
-      this.sendChat(`@${displayName} ${getAccessDeniedJoke()}`);
+    if (rewardId && rewardId === config.get(`${BUMP_REWARD_PATH}.rewardId`)) {
+      await this.handleBumpRedemption(event);
       return;
     }
 
-    // Parse the rate value
-    const parts = message.split(/\s+/);
-    if (parts.length < 2) {
-      this.sendChat(`@${displayName} 🎸 You call that a command?! Give me a number! !playrate <0.5-4.0> — Don't leave the riff hanging! 🤘`);
+    // Find which action this reward corresponds to
+    const action = actions.findByRewardId(rewardId)?.action;
+
+    if (!action) {
+      console.log(`Unknown reward redeemed: ${event.rewardTitle}`);
       return;
     }
 
-    const rate = parseFloat(parts[1]);
-
-    // Fetch user avatar
+    // Fetch user's avatar
     let avatarUrl = null;
     try {
-      const user = await this.apiClient.users.getUserById(tags['user-id']);
+      const user = await this.apiClient.users.getUserById(userId);
       if (user) {
         avatarUrl = user.profilePictureUrl;
       }
     } catch (err) {
-      // Ignore avatar fetch errors
+      console.warn('Could not fetch user avatar:', err.message);
     }
 
-    // Process the action
-    const result = gameEngine.setPlayrateDirect(displayName, rate, {
-      source: 'modCommand',
-      avatarUrl
+    console.log(`🎯 ${username} redeemed: ${action}`);
+
+    // Roles for per-user limit exemptions
+    const isBroadcaster = userId === config.get('twitch.broadcasterId');
+    const isModerator = !isBroadcaster && config.get('game.userLimits.enabled')
+      ? await this.isModerator(userId)
+      : false;
+
+    // Process the action with avatar
+    const result = gameEngine.processAction(action, username, {
+      source: 'channelPoints',
+      avatarUrl,
+      isBroadcaster,
+      isModerator,
+      redemptionId: event.id,
+      rewardId
     });
 
-    if (result.message) {
+    // Send chat message
+    if (config.get('game.announcements.enabled') && result.message) {
       this.sendChat(result.message);
     }
+
+    // Mark redemption as fulfilled or refund
+    if (result.success && result.queued) {
+      // Measure-sync: wait for the change to actually play (it can still be superseded or cancelled)
+      this.queuedRedemptions.push({ rewardId, redemptionId: event.id, username, action });
+    } else if (result.success) {
+      await this.fulfillRedemption(rewardId, event.id);
+    } else {
+      // Refund if action failed
+      console.log(`↩️ Refunding ${username}'s ${action} (${result.reason})`);
+      await this.updateRedemptionStatus(rewardId, event.id, 'CANCELED');
+    }
   }
 
   /**
-   * Handle !testreaper command (mod/broadcaster only)
+   * Handle a song request bump redemption - refunded if there's nothing to bump
    */
-  handleTestReaperCommand(channel, tags) {
-    const displayName = tags['display-name'] || tags.username;
-    const isMod = tags.mod || tags.badges?.moderator;
-    const isBroadcaster = tags.badges?.broadcaster;
-
-    if (!isMod && !isBroadcaster) {
-      this.sendChat(`@${displayName} ${getAccessDeniedJoke()}`);
-      return;
-    }
-
-    const reaperConfig = config.get('reaper');
-    const isConnected = reaper.connected;
-    const currentPlayrate = reaper.getPlayrate();
-    const currentBpm = reaper.getBpm();
+  async handleBumpRedemption(event) {
+    const result = chat.bumpRequest(this, event.userId, event.userName, 'channelPoints');
 
-    if (isConnected) {
-      this.sendChat(`🤘 THE REAPER LIVES! Shredding at ${currentPlayrate.toFixed(2)}x | ${currentBpm} BPM | Port ${reaperConfig.sendPort} — LET'S GOOOO! 🔥`);
+    if (result.success) {
+      await this.fulfillRedemption(event.rewardId, event.id);
     } else {
-      this.sendChat(`💀 THE REAPER IS SILENT... OSC connection dead on port ${reaperConfig.sendPort}. Someone wake up the sound guy!`);
+      console.log(`↩️ Refunding ${event.userName}'s request bump (${result.reason})`);
+      await this.updateRedemptionStatus(event.rewardId, event.id, 'CANCELED');
     }
   }
 
   /**
-   * Handle !reapercommands command (mod/broadcaster only)
+   * Handle a cheer (bits) from EventSub
    */
-  handleReaperCommandsCommand(channel, tags) {
-    const displayName = tags['display-name'] || tags.username;
-    const isMod = tags.mod || tags.badges?.moderator;
-    const isBroadcaster = tags.badges?.broadcaster;
-
-    if (!isMod && !isBroadcaster) {
-      this.sendChat(`@${displayName} ${getAccessDeniedJoke()}`);
-      return;
-    }
+  handleCheer(event) {
+    const username = event.isAnonymous ? 'Anonymous' : (event.userDisplayName || event.userName);
+    console.log(`💎 Twitch Cheer: ${username} - ${event.bits} bits`);
 
-    const gameConfig = config.get('game');
-    const minRate = gameConfig.minPlayrate;
-    const maxRate = gameConfig.maxPlayrate;
-
-    this.sendChat(`⚔️ MOD ARSENAL: !playrate <${minRate}-${maxRate}> (command the tempo) | !testreaper (summon the REAPER) | !reapercommands (this grimoire 📜) 🤘`);
+    // Tier matching and dedupe against Streamlabs / StreamElements happen in bits.js
+    const login = event.isAnonymous ? 'anonymous' : event.userName;
+    bitsManager.handleCheer(username, event.bits, 'twitch', login);
   }
 
   /**
-   * Handle song request command
+   * Handle hype train begin/progress events
    */
-  async handleSongRequest(channel, tags, message) {
-    const reqConfig = config.get('requests');
-    const username = tags.username;
-    const userId = tags['user-id'];
-    const displayName = tags['display-name'] || username;
-
-    // Extract song query (everything after the command)
-    const query = message.replace(/^!\S+\s*/, '').trim();
+  handleHypeTrainProgress(event) {
+    gameEngine.setHypeTrainLevel(event.level, {
+      progress: event.progress,
+      goal: event.goal,
+      expiresAt: event.expiryDate.getTime()
+    });
+  }
 
-    if (!query) {
-      // Show current request if no query
-      await this.handleQueueCheck(channel, tags);
-      return;
+  /**
+   * Mark a redemption as FULFILLED or CANCELED (refund)
+   */
+  async updateRedemptionStatus(rewardId, redemptionId, status) {
+    try {
+      await this.apiClient.channelPoints.updateRedemptionStatusByIds(
+        config.get('twitch.broadcasterId'),
+        rewardId,
+        [redemptionId],
+        status
+      );
+    } catch (err) {
+      console.error('Error updating redemption status:', err.message);
     }
+  }
 
-    // Build user info
-    const userInfo = {
-      displayName,
-      isSubscriber: tags.subscriber || tags.badges?.subscriber,
-      isBroadcaster: tags.badges?.broadcaster,
-      isMod: tags.mod || tags.badges?.moderator,
-      avatarUrl: null
-    };
-
-    // Check user requirements
-    const checkResult = await requests.checkUserRequirements(userId, username, userInfo, this.apiClient);
-
-    if (!checkResult.allowed) {
-      this.sendChat(checkResult.reason);
-      return;
+  /**
+   * Fulfill a redemption, or hold it open for the undo window when undos refund
+   */
+  async fulfillRedemption(rewardId, redemptionId) {
+    const undoConfig = config.get('game.undo') || {};
+    if (undoConfig.enabled && undoConfig.refundRedemptions) {
+      // Twitch can only refund unfulfilled redemptions - hold it open for the undo window
+      this.deferFulfillment(rewardId, redemptionId, undoConfig.refundWindowSeconds || 60);
+    } else {
+      await this.updateRedemptionStatus(rewardId, redemptionId, 'FULFILLED');
     }
+  }
 
-    // Search for the song
-    const song = requests.searchSong(query, this.songsIndex);
+  /**
+   * The pending measure-sync change played - fulfill the redemptions behind it
+   */
+  async settleQueuedRedemptions() {
+    const queued = this.queuedRedemptions;
+    this.queuedRedemptions = [];
 
-    if (!song) {
-      const msg = this.formatRequestMessage('notFound', { user: username, query });
-      this.sendChat(msg);
-      return;
+    for (const { rewardId, redemptionId } of queued) {
+      await this.fulfillRedemption(rewardId, redemptionId);
     }
+  }
 
-    // Try to fetch avatar
-    try {
-      const user = await this.apiClient.users.getUserById(userId);
-      if (user) {
-        userInfo.avatarUrl = user.profilePictureUrl;
-      }
-    } catch (err) {
-      // Ignore avatar fetch errors
+  /**
+   * The pending measure-sync change will never play - refund the redemptions behind it
+   * @param {string} messageType - 'queuedSuperseded' or 'queuedCancelled'
+   */
+  async refundQueuedRedemptions(messageType) {
+    const queued = this.queuedRedemptions;
+    this.queuedRedemptions = [];
+
+    for (const { rewardId, redemptionId, username, action } of queued) {
+      console.log(`↩️ Refunding ${username}'s ${action} - queued change never played`);
+      await this.updateRedemptionStatus(rewardId, redemptionId, 'CANCELED');
+      this.sendChat(gameEngine.formatMessage(messageType, {
+        user: username,
+        action: actions.get(action)?.label || action
+      }));
     }
+  }
 
-    // Add request
-    const result = requests.addRequest(userId, username, song, userInfo);
+  /**
+   * Fulfill a redemption once its undo window has passed
+   */
+  deferFulfillment(rewardId, redemptionId, seconds) {
+    const timer = setTimeout(() => {
+      this.pendingFulfillments.delete(redemptionId);
+      this.updateRedemptionStatus(rewardId, redemptionId, 'FULFILLED');
+    }, seconds * 1000);
 
-    if (result.success) {
-      const msgType = result.edited ? 'requestEdited' : 'requestAdded';
-      const msg = this.formatRequestMessage(msgType, {
-        user: username,
-        title: song.t,
-        artist: song.a,
-        position: result.edited
-          ? requests.getUserPosition(userId)
-          : requests.getQueue().length
-      });
-      this.sendChat(msg);
-      this.emit('requestAdded', result.request);
-    } else {
-      this.sendChat(result.message);
-    }
+    this.pendingFulfillments.set(redemptionId, { rewardId, timer });
   }
 
   /**
-   * Handle queue check command
+   * Fulfill all redemptions still waiting out their undo window
    */
-  async handleQueueCheck(channel, tags) {
-    const username = tags.username;
-    const userId = tags['user-id'];
+  async flushPendingFulfillments() {
+    // REAPER still plays the queued change after we're gone
+    await this.settleQueuedRedemptions();
 
-    const userRequest = requests.getUserRequest(userId);
+    const pending = [...this.pendingFulfillments.entries()];
+    this.pendingFulfillments.clear();
 
-    if (userRequest) {
-      const position = requests.getUserPosition(userId);
-      const msg = this.formatRequestMessage('currentRequest', {
-        user: username,
-        title: userRequest.songTitle,
-        artist: userRequest.songArtist,
-        position
-      });
-      this.sendChat(msg);
-    } else {
-      const msg = this.formatRequestMessage('noRequest', { user: username });
-      this.sendChat(msg);
+    for (const [redemptionId, { rewardId, timer }] of pending) {
+      clearTimeout(timer);
+      await this.updateRedemptionStatus(rewardId, redemptionId, 'FULFILLED');
     }
   }
 
   /**
-   * Handle cancel request command
+   * Refund the redemption behind an undone action (if it's still in its undo window)
    */
-  async handleCancelRequest(channel, tags) {
-    const username = tags.username;
-    const userId = tags['user-id'];
+  async refundUndoneRedemption(entry) {
+    const pending = this.pendingFulfillments.get(entry.redemption.id);
+    if (!pending) {
+      console.log(`⏪ Can't refund ${entry.username}'s ${entry.action} - already fulfilled or refunded`);
+      return;
+    }
 
-    const result = requests.removeRequest(userId);
+    clearTimeout(pending.timer);
+    this.pendingFulfillments.delete(entry.redemption.id);
 
-    if (result.success) {
-      const msg = this.formatRequestMessage('requestCancelled', { user: username });
-      this.sendChat(msg);
-      this.emit('requestRemoved', result.request);
-    } else {
-      const msg = this.formatRequestMessage('noRequest', { user: username });
-      this.sendChat(msg);
-    }
+    console.log(`↩️ Refunding ${entry.username}'s undone ${entry.action}`);
+    await this.updateRedemptionStatus(pending.rewardId, entry.redemption.id, 'CANCELED');
   }
 
   /**
-   * Format request-related chat message
+   * Check if a user is a moderator of the channel
    */
-  formatRequestMessage(type, data) {
-    const template = config.get(`requests.messages.${type}`) || '';
-    return template.replace(/\{(\w+)\}/g, (match, key) => data[key] ?? match);
+  async isModerator(userId) {
+    try {
+      return await this.apiClient.moderation.checkUserMod(config.get('twitch.broadcasterId'), userId);
+    } catch (err) {
+      console.warn('Could not check moderator status:', err.message);
+      return false;
+    }
   }
 
   /**
-   * Handle channel point redemption
+   * Send a chat message
    */
-  async handleRedemption(event) {
-    const rewardsConfig = config.get('rewards');
-    const rewardId = event.rewardId;
-    const username = event.userName;
-    const userId = event.userId;
+  sendChat(message) {
+    if (!this.apiClient || !this.chatUserId || !config.get('game.announcements.enabled')) return;
 
-    // Find which action this reward corresponds to
-    let action = null;
-    for (const [actionName, rewardConfig] of Object.entries(rewardsConfig)) {
-      if (rewardConfig.rewardId === rewardId) {
-        action = actionName;
-        break;
-      }
-    }
+    const broadcasterId = config.get('twitch.broadcasterId');
+    this.apiClient.asUser(this.chatUserId, ctx => ctx.chat.sendChatMessage(broadcasterId, message))
+      .then(result => {
+        if (!result.isSent) {
+          console.warn(`Chat message dropped: ${result.dropReasonMessage || result.dropReasonCode}`);
+        }
+      })
+      .catch(err => {
+        console.error('Chat error:', err.message);
+      });
+  }
 
-    if (!action) {
-      console.log(`Unknown reward redeemed: ${event.rewardTitle}`);
-      return;
-    }
+  /**
+   * Match the rewards in config with the ones on Twitch
+   * Re-adopts rewards the bot created (by ID, then by title), deletes duplicates
+   * and pauses or activates everything to match game mode
+   */
+  async reconcileRewards() {
+    const broadcasterId = config.get('twitch.broadcasterId');
 
-    // Fetch user's avatar
-    let avatarUrl = null;
+    let existing;
     try {
-      const user = await this.apiClient.users.getUserById(userId);
-      if (user) {
-        avatarUrl = user.profilePictureUrl;
-      }
+      // Only rewards created by this app can be managed (and are ours)
+      existing = await this.apiClient.channelPoints.getCustomRewards(broadcasterId, true);
     } catch (err) {
-      console.warn('Could not fetch user avatar:', err.message);
+      console.warn('Could not list channel point rewards:', err.message);
+      return false;
     }
 
-    console.log(`🎯 ${username} redeemed: ${action}`);
+    console.log('Reconciling channel point rewards...');
 
-    // Process the action with avatar
-    const result = gameEngine.processAction(action, username, { source: 'channelPoints', avatarUrl });
+    const unclaimed = new Map(existing.map(reward => [reward.id, reward]));
+    const titles = new Set();
 
-    // Send chat message
-    if (config.get('game.announcements.enabled') && result.message) {
-      this.sendChat(result.message);
-    }
+    const entries = actions.getRewardEntries();
+    const bumpReward = config.get(BUMP_REWARD_PATH);
+    if (bumpReward) entries.push({ path: BUMP_REWARD_PATH, reward: bumpReward });
 
-    // Mark redemption as fulfilled or refund
-    try {
-      if (result.success) {
-        await this.apiClient.channelPoints.updateRedemptionStatusByIds(
-          config.get('twitch.broadcasterId'),
-          rewardId,
-          [event.id],
-          'FULFILLED'
-        );
-      } else {
-        // Refund if action failed
-        await this.apiClient.channelPoints.updateRedemptionStatusByIds(
-          config.get('twitch.broadcasterId'),
-          rewardId,
-          [event.id],
-          'CANCELED'
-        );
+    for (const { path, reward: rewardConfig } of entries) {
+      const title = (rewardConfig.title || '').toLowerCase();
+      titles.add(title);
+
+      const reward = unclaimed.get(rewardConfig.rewardId) ||
+        [...unclaimed.values()].find(r => r.title.toLowerCase() === title);
+
+      if (reward) {
+        unclaimed.delete(reward.id);
+        if (reward.id !== rewardConfig.rewardId) {
+          config.set(`${path}.rewardId`, reward.id);
+          console.log(`   ✓ Adopted: ${reward.title} (${reward.id})`);
+        }
+      } else if (rewardConfig.rewardId) {
+        config.set(`${path}.rewardId`, null);
+        console.log(`   ✗ Gone from Twitch: ${rewardConfig.title}`);
       }
-    } catch (err) {
-      console.error('Error updating redemption status:', err.message);
     }
-  }
 
-  /**
-   * Send a chat message
-   */
-  sendChat(message) {
-    if (!this.chatClient || !config.get('game.announcements.enabled')) return;
+    // Leftovers with one of our titles are duplicates from an earlier crash
+    for (const reward of unclaimed.values()) {
+      if (!titles.has(reward.title.toLowerCase())) continue;
+      try {
+        await this.apiClient.channelPoints.deleteCustomReward(broadcasterId, reward.id);
+        console.log(`   ✓ Deleted duplicate: ${reward.title} (${reward.id})`);
+      } catch (err) {
+        console.error(`   ✗ Failed to delete duplicate ${reward.title}:`, err.message);
+      }
+    }
 
-    const channel = config.get('twitch.broadcasterName');
-    this.chatClient.say(channel, message).catch(err => {
-      console.error('Chat error:', err.message);
-    });
+    return gameEngine.isEnabled() ? this.createRewards() : this.stopRewards();
   }
 
   /**
    * Create channel point rewards for game mode
+   * Rewards that already exist (paused from last stream) are unpaused instead
    */
   async createRewards() {
     if (!this.apiClient) {
@@ -502,12 +532,19 @@ class TwitchIntegration extends EventEmitter {
     }
 
     const twitchConfig = config.get('twitch');
-    const rewardsConfig = config.get('rewards');
 
     console.log('Creating channel point rewards...');
 
-    for (const [actionName, rewardConfig] of Object.entries(rewardsConfig)) {
-      if (!rewardConfig.enabled) continue;
+    for (const { path, reward: rewardConfig, available } of actions.getRewardEntries()) {
+      if (!available || !rewardConfig.enabled) {
+        // Switched off since it was created - keep it out of viewers' way
+        if (rewardConfig.rewardId) await this.setRewardPaused(path, rewardConfig, true);
+        continue;
+      }
+
+      if (rewardConfig.rewardId && await this.setRewardPaused(path, rewardConfig, false)) {
+        continue;
+      }
 
       try {
         const reward = await this.apiClient.channelPoints.createCustomReward(
@@ -523,7 +560,7 @@ class TwitchIntegration extends EventEmitter {
           }
         );
 
-        config.set(`rewards.${actionName}.rewardId`, reward.id);
+        config.set(`${path}.rewardId`, reward.id);
         console.log(`   ✓ Created: ${rewardConfig.title} (${reward.id})`);
       } catch (err) {
         console.error(`   ✗ Failed to create ${rewardConfig.title}:`, err.message);
@@ -535,6 +572,105 @@ class TwitchIntegration extends EventEmitter {
     return true;
   }
 
+  /**
+   * Create, unpause or pause the song request bump reward
+   * @param {boolean} active - Offer the reward (default: it's enabled and song requests with priority lanes are on)
+   */
+  async syncBumpReward(active = this.isBumpRewardActive()) {
+    const rewardConfig = config.get(BUMP_REWARD_PATH);
+    if (!this.apiClient || !rewardConfig) return false;
+
+    if (!active) {
+      if (rewardConfig.rewardId) await this.setRewardPaused(BUMP_REWARD_PATH, rewardConfig, true);
+      return true;
+    }
+
+    if (rewardConfig.rewardId && await this.setRewardPaused(BUMP_REWARD_PATH, rewardConfig, false)) {
+      return true;
+    }
+
+    try {
+      const reward = await this.apiClient.channelPoints.createCustomReward(
+        config.get('twitch.broadcasterId'),
+        {
+          title: rewardConfig.title,
+          cost: rewardConfig.cost,
+          isEnabled: true,
+          backgroundColor: rewardConfig.backgroundColor,
+          globalCooldown: rewardConfig.cooldownSeconds > 0 ? rewardConfig.cooldownSeconds : null,
+          maxRedemptionsPerStream: rewardConfig.maxPerStream > 0 ? rewardConfig.maxPerStream : null,
+          autoFulfill: false
+        }
+      );
+
+      config.set(`${BUMP_REWARD_PATH}.rewardId`, reward.id);
+      console.log(`   ✓ Created: ${rewardConfig.title} (${reward.id})`);
+      return true;
+    } catch (err) {
+      console.error(`   ✗ Failed to create ${rewardConfig.title}:`, err.message);
+      return false;
+    }
+  }
+
+  /**
+   * Check if the song request bump reward should be offered
+   */
+  isBumpRewardActive() {
+    const reqConfig = config.get('requests');
+    return !!(reqConfig.enabled && reqConfig.priority?.enabled && reqConfig.priority.bump?.reward?.enabled);
+  }
+
+  /**
+   * Pause or unpause an existing reward
+   * @returns {boolean} False if the reward couldn't be updated (its ID is forgotten if it's gone)
+   */
+  async setRewardPaused(path, rewardConfig, paused) {
+    try {
+      await this.apiClient.channelPoints.updateCustomReward(
+        config.get('twitch.broadcasterId'),
+        rewardConfig.rewardId,
+        { isPaused: paused, isEnabled: true }
+      );
+      console.log(`   ✓ ${paused ? 'Paused' : 'Unpaused'}: ${rewardConfig.title}`);
+      return true;
+    } catch (err) {
+      if (err.statusCode === 404) {
+        config.set(`${path}.rewardId`, null);
+      } else {
+        console.error(`   ✗ Failed to ${paused ? 'pause' : 'unpause'} ${rewardConfig.title}:`, err.message);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Pause all channel point rewards (kept on Twitch for the next stream)
+   */
+  async pauseRewards() {
+    if (!this.apiClient) return false;
+
+    console.log('Pausing channel point rewards...');
+
+    for (const { path, reward: rewardConfig } of actions.getRewardEntries()) {
+      if (rewardConfig.rewardId) {
+        await this.setRewardPaused(path, rewardConfig, true);
+      }
+    }
+
+    this.rewardsCreated = false;
+    this.emit('rewardsRemoved');
+    return true;
+  }
+
+  /**
+   * Take rewards offline when game mode ends - paused, or deleted if rewards.pauseWhenDisabled is off
+   */
+  async stopRewards() {
+    return config.get('rewards.pauseWhenDisabled') === false
+      ? this.removeRewards()
+      : this.pauseRewards();
+  }
+
   /**
    * Delete/disable channel point rewards
    */
@@ -542,11 +678,10 @@ class TwitchIntegration extends EventEmitter {
     if (!this.apiClient) return false;
 
     const twitchConfig = config.get('twitch');
-    const rewardsConfig = config.get('rewards');
 
     console.log('Removing channel point rewards...');
 
-    for (const [actionName, rewardConfig] of Object.entries(rewardsConfig)) {
+    for (const { path, reward: rewardConfig } of actions.getRewardEntries()) {
       if (!rewardConfig.rewardId) continue;
 
       try {
@@ -554,7 +689,7 @@ class TwitchIntegration extends EventEmitter {
           twitchConfig.broadcasterId,
           rewardConfig.rewardId
         );
-        config.set(`rewards.${actionName}.rewardId`, null);
+        config.set(`${path}.rewardId`, null);
         console.log(`   ✓ Removed: ${rewardConfig.title}`);
       } catch (err) {
         console.error(`   ✗ Failed to remove ${rewardConfig.title}:`, err.message);
@@ -573,7 +708,8 @@ class TwitchIntegration extends EventEmitter {
     if (!this.apiClient) return false;
 
     const twitchConfig = config.get('twitch');
-    const rewardId = config.get(`rewards.${actionName}.rewardId`);
+    const definition = actions.get(actionName);
+    const rewardId = definition && config.get(`${definition.rewardPath}.rewardId`);
 
     if (!rewardId) return false;
 
@@ -592,29 +728,30 @@ class TwitchIntegration extends EventEmitter {
 
   /**
    * Update all reward prices (for dynamic pricing)
-   * @param {object} prices - { speedUp, slowDown, chaos, reset }
+   * Goes through the Helix queue: a reward's price that hasn't been sent yet is replaced by the newer one
+   * @param {object} prices - { speedUp, slowDown, chaos, reset, ...customActions }
    */
   async updateRewardPrices(prices) {
     if (!this.apiClient || !this.connected) return false;
 
     const twitchConfig = config.get('twitch');
-    const rewardsConfig = config.get('rewards');
 
     const updates = [];
 
     for (const [actionName, newCost] of Object.entries(prices)) {
-      const rewardId = rewardsConfig[actionName]?.rewardId;
+      const definition = actions.get(actionName);
+      const rewardId = definition && config.get(`${definition.rewardPath}.rewardId`);
       if (!rewardId || !newCost) continue;
 
       updates.push(
-        this.apiClient.channelPoints.updateCustomReward(
-          twitchConfig.broadcasterId,
-          rewardId,
-          { cost: newCost }
-        ).then(() => {
-          console.log(`   💰 ${actionName}: ${newCost} pts`);
-        }).catch(err => {
-          console.warn(`   Failed to update ${actionName} price:`, err.message);
+        helixQueue.enqueue(`price:${rewardId}`, `${actionName} price`, () =>
+          this.apiClient.channelPoints.updateCustomReward(
+            twitchConfig.broadcasterId,
+            rewardId,
+            { cost: newCost }
+          )
+        ).then(sent => {
+          if (sent) console.log(`   💰 ${actionName}: ${newCost} pts`);
         })
       );
     }
@@ -632,12 +769,12 @@ class TwitchIntegration extends EventEmitter {
    * Disconnect from Twitch
    */
   async disconnect() {
+    await this.flushPendingFulfillments();
+
     if (this.eventSubListener) {
       this.eventSubListener.stop();
     }
-    if (this.chatClient) {
-      await this.chatClient.disconnect();
-    }
+    this.chatUserId = null;
     this.connected = false;
     console.log('🟣 Twitch disconnected');
   }
@@ -657,7 +794,9 @@ class TwitchIntegration extends EventEmitter {
       connected: this.connected,
       rewardsCreated: this.rewardsCreated,
       broadcasterId: config.get('twitch.broadcasterId'),
-      broadcasterName: config.get('twitch.broadcasterName')
+      broadcasterName: config.get('twitch.broadcasterName'),
+      botName: this.usesBotAccount() ? config.get('twitch.botName') : null,
+      apiQueue: helixQueue.getStatus()
     };
   }
 }
@@ -0,0 +1,257 @@
+const config = require('./config');
+const gameEngine = require('./game-engine');
+const actions = require('./actions');
+const EventEmitter = require('events');
+
+class VotingManager extends EventEmitter {
+  constructor() {
+    super();
+    this.activeVote = null;   // { options, votes: Map(userId -> { username, action }), endsAt, startedBy }
+    this.tickTimer = null;
+    this.lastVoteEnded = 0;
+
+    // Drop any open vote when game mode is switched off
+    gameEngine.on('enabledChanged', (enabled) => {
+      if (!enabled) this.cancelVote();
+    });
+  }
+
+  /**
+   * Check if voting mode is enabled
+   */
+  isEnabled() {
+    return !!config.get('game.voting.enabled');
+  }
+
+  /**
+   * Get configured vote options, dropping any that point at unknown actions
+   * @returns {array} [{ command, action, label, icon }]
+   */
+  getOptions() {
+    const options = config.get('game.voting.options') || [];
+    return options
+      .map(option => {
+        const definition = actions.get(option.action);
+        if (!definition) return null;
+        return {
+          command: option.command.toLowerCase(),
+          action: option.action,
+          label: definition.label,
+          icon: definition.icon
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Find the vote option for a chat command (e.g. '!faster')
+   */
+  getOptionForCommand(cmd) {
+    return this.getOptions().find(option => option.command === cmd) || null;
+  }
+
+  /**
+   * Check if a chat command is a vote command
+   */
+  isVoteCommand(cmd) {
+    return this.isEnabled() && !!this.getOptionForCommand(cmd);
+  }
+
+  /**
+   * Cast a vote, opening a new voting window if none is active
+   * @param {string} userId - Voter's user ID (one vote per user)
+   * @param {string} username - Voter's display name
+   * @param {string} cmd - The vote command used
+   * @param {string|null} platform - Chat platform the vote came from
+   * @returns {object} { success, reason?, started?, changed?, action? }
+   */
+  castVote(userId, username, cmd, platform = null) {
+    if (!this.isEnabled()) {
+      return { success: false, reason: 'disabled' };
+    }
+
+    if (!gameEngine.isEnabled()) {
+      return { success: false, reason: 'gameDisabled' };
+    }
+
+    const option = this.getOptionForCommand(cmd);
+    if (!option) {
+      return { success: false, reason: 'unknownOption' };
+    }
+
+    let started = false;
+    if (!this.activeVote) {
+      const remaining = this.getCooldownRemaining();
+      if (remaining > 0) {
+        return {
+          success: false,
+          reason: 'cooldown',
+          message: this.formatMessage('cooldown', { user: username, seconds: remaining })
+        };
+      }
+      this.startVote(username, platform);
+      started = true;
+    }
+
+    const previous = this.activeVote.votes.get(userId);
+    if (previous && !config.get('game.voting.allowChangeVote')) {
+      return { success: false, reason: 'alreadyVoted', action: previous.action };
+    }
+
+    this.activeVote.votes.set(userId, { username, action: option.action, platform });
+    this.emit('voteUpdated', this.getVoteState());
+
+    return { success: true, started, changed: !!previous, action: option.action };
+  }
+
+  /**
+   * Open a new voting window
+   * @param {string} startedBy - Who opened the vote
+   * @param {string|null} platform - Chat platform of whoever opened it
+   */
+  startVote(startedBy, platform = null) {
+    const windowSeconds = config.get('game.voting.windowSeconds') || 30;
+
+    this.activeVote = {
+      options: this.getOptions(),
+      votes: new Map(),
+      startedAt: Date.now(),
+      endsAt: Date.now() + windowSeconds * 1000,
+      startedBy
+    };
+
+    // Tick every second so overlays can show the countdown
+    this.tickTimer = setInterval(() => {
+      if (Date.now() >= this.activeVote.endsAt) {
+        this.endVote();
+      } else {
+        this.emit('voteUpdated', this.getVoteState());
+      }
+    }, 1000);
+
+    console.log(`🗳️ Vote started by ${startedBy} (${windowSeconds}s)`);
+    this.emit('voteStarted', {
+      ...this.getVoteState(),
+      platform,
+      message: this.formatMessage('started', {
+        user: startedBy,
+        seconds: windowSeconds,
+        options: this.activeVote.options.map(o => `${o.command} ${o.icon}`).join(' | ')
+      })
+    });
+  }
+
+  /**
+   * Close the voting window and apply the winning action
+   * @returns {object|null} Vote result or null if no vote was active
+   */
+  endVote() {
+    if (!this.activeVote) return null;
+
+    clearInterval(this.tickTimer);
+    this.tickTimer = null;
+
+    const state = this.getVoteState();
+    const minVotes = config.get('game.voting.minVotes') || 1;
+
+    // Set when everyone voted from the same platform (a test chat rehearsal stays in the test chat)
+    const platforms = new Set([...this.activeVote.votes.values()].map(vote => vote.platform));
+    const platform = platforms.size === 1 ? [...platforms][0] : null;
+    this.activeVote = null;
+    this.lastVoteEnded = Date.now();
+
+    // Highest tally wins, ties are broken at random
+    const topCount = Math.max(0, ...state.tally.map(t => t.count));
+    const leaders = state.tally.filter(t => t.count === topCount && t.count > 0);
+    const winner = leaders.length > 0 ? leaders[Math.floor(Math.random() * leaders.length)] : null;
+
+    let result = null;
+    let message;
+
+    if (!winner || state.totalVotes < minVotes) {
+      message = this.formatMessage('notEnoughVotes', { votes: String(state.totalVotes), min: minVotes });
+    } else {
+      result = gameEngine.processAction(winner.action, 'Chat Vote', {
+        source: 'vote',
+        votes: winner.count,
+        totalVotes: state.totalVotes,
+        platform
+      });
+
+      message = result.success
+        ? this.formatMessage('winner', {
+          option: `${winner.icon} ${winner.label}`,
+          votes: winner.count,
+          total: state.totalVotes,
+          rate: result.newRate?.toFixed(2) || ''
+        })
+        : result.message;
+    }
+
+    console.log(`🗳️ Vote ended: ${winner ? winner.action : 'no winner'} (${state.totalVotes} votes)`);
+
+    const data = { ...state, remaining: 0, winner, result, message, platform };
+    this.emit('voteEnded', data);
+    return data;
+  }
+
+  /**
+   * Cancel the active vote without applying anything
+   */
+  cancelVote() {
+    if (!this.activeVote) return false;
+
+    clearInterval(this.tickTimer);
+    this.tickTimer = null;
+    this.activeVote = null;
+    this.emit('voteCancelled');
+    return true;
+  }
+
+  /**
+   * Seconds until a new vote can be opened
+   */
+  getCooldownRemaining() {
+    const cooldownSeconds = config.get('game.voting.cooldownSeconds') || 0;
+    const elapsed = (Date.now() - this.lastVoteEnded) / 1000;
+    return Math.max(0, Math.ceil(cooldownSeconds - elapsed));
+  }
+
+  /**
+   * Get the current tally and countdown for broadcasting
+   */
+  getVoteState() {
+    if (!this.activeVote) {
+      return { active: false };
+    }
+
+    const counts = {};
+    for (const { action } of this.activeVote.votes.values()) {
+      counts[action] = (counts[action] || 0) + 1;
+    }
+
+    const totalVotes = this.activeVote.votes.size;
+    const tally = this.activeVote.options.map(option => ({
+      ...option,
+      count: counts[option.action] || 0,
+      percent: totalVotes > 0 ? Math.round(((counts[option.action] || 0) / totalVotes) * 100) : 0
+    }));
+
+    return {
+      active: true,
+      tally,
+      totalVotes,
+      duration: Math.round((this.activeVote.endsAt - this.activeVote.startedAt) / 1000),
+      remaining: Math.max(0, Math.ceil((this.activeVote.endsAt - Date.now()) / 1000))
+    };
+  }
+
+  /**
+   * Format vote chat message with placeholders
+   */
+  formatMessage(type, data) {
+    return gameEngine.formatTemplate(config.get(`game.voting.messages.${type}`), data);
+  }
+}
+
+module.exports = new VotingManager();
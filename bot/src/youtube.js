@@ -0,0 +1,407 @@
+const config = require('./config');
+const gameEngine = require('./game-engine');
+const chat = require('./chat');
+const EventEmitter = require('events');
+
+const API_URL = 'https://www.googleapis.com/youtube/v3';
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+
+// How often to look for a live broadcast when we're not live
+const BROADCAST_CHECK_MS = 30000;
+// YouTube rejects longer chat messages
+const MAX_MESSAGE_LENGTH = 200;
+// Longest wait between polls after rate limit / quota errors
+const MAX_BACKOFF_MS = 15 * 60 * 1000;
+// Error reasons that mean the broadcast's chat is gone
+const CHAT_ENDED_REASONS = ['liveChatEnded', 'liveChatDisabled', 'liveChatNotFound'];
+// Error reasons that mean we're polling too much
+const BACKOFF_REASONS = ['rateLimitExceeded', 'quotaExceeded', 'userRateLimitExceeded', 'dailyLimitExceeded'];
+
+/**
+ * YouTube Live chat: commands and song requests from YouTube viewers, Super Chats as donations
+ * Uses the channel's own account (OAuth) to read and post in the active broadcast's chat
+ */
+class YouTubeIntegration extends EventEmitter {
+  constructor() {
+    super();
+    this.name = 'youtube';   // Chat provider ID (see chat.js)
+    this.label = 'YouTube';
+    this.running = false;
+    this.liveChatId = null;
+    this.pageToken = null;
+    this.pollTimer = null;
+    this.backoffMs = 0;             // Current extra wait after rate limit / quota errors
+    this.avatars = new Map();       // channelId -> profile picture URL
+    this.sentMessageIds = new Set(); // Our own messages, skipped when they come back in the poll
+
+    chat.register(this);
+  }
+
+  /**
+   * Start watching for a live broadcast (if configured)
+   */
+  async connect() {
+    const ytConfig = config.get('youtube');
+
+    if (!ytConfig.enabled || !ytConfig.clientId || !ytConfig.refreshToken) {
+      console.log('⚠️ YouTube not configured - skipping connection');
+      return false;
+    }
+
+    this.running = true;
+    console.log(`▶️ YouTube connected (${ytConfig.channelName || 'channel'}) - waiting for a live broadcast`);
+    await this.findLiveChat();
+    return true;
+  }
+
+  /**
+   * Stop polling
+   */
+  disconnect() {
+    this.running = false;
+    this.liveChatId = null;
+    this.pageToken = null;
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  /**
+   * Chat provider: chat is only available while we're live
+   */
+  isConnected() {
+    return this.running && !!this.liveChatId;
+  }
+
+  /**
+   * Get connection status
+   */
+  getStatus() {
+    return {
+      connected: this.isConnected(),
+      running: this.running,
+      configured: !!(config.get('youtube.clientId') && config.get('youtube.refreshToken')),
+      channelName: config.get('youtube.channelName') || null
+    };
+  }
+
+  /**
+   * Schedule the next poll or broadcast check
+   */
+  schedule(fn, delayMs) {
+    if (!this.running) return;
+    clearTimeout(this.pollTimer);
+    this.pollTimer = setTimeout(fn, delayMs);
+  }
+
+  /**
+   * Look up the chat of the channel's active broadcast
+   */
+  async findLiveChat() {
+    if (!this.running) return;
+
+    try {
+      const data = await this.request('GET', '/liveBroadcasts', {
+        part: 'snippet',
+        broadcastStatus: 'active',
+        broadcastType: 'all'
+      });
+
+      const broadcast = (data.items || []).find(item => item.snippet?.liveChatId);
+      if (broadcast) {
+        this.liveChatId = broadcast.snippet.liveChatId;
+        this.pageToken = null;
+        console.log(`▶️ YouTube live chat found: ${broadcast.snippet.title}`);
+        this.emit('connected');
+        await this.poll(true);
+        return;
+      }
+    } catch (err) {
+      console.error('YouTube broadcast lookup error:', err.message);
+      if (BACKOFF_REASONS.includes(err.reason)) {
+        this.schedule(() => this.findLiveChat(), MAX_BACKOFF_MS);
+        return;
+      }
+    }
+
+    this.schedule(() => this.findLiveChat(), BROADCAST_CHECK_MS);
+  }
+
+  /**
+   * Fetch new chat messages
+   * @param {boolean} skipBacklog - First poll after connecting: ignore messages sent before we joined
+   */
+  async poll(skipBacklog = false) {
+    if (!this.running || !this.liveChatId) return;
+
+    let delayMs = (config.get('youtube.pollIntervalSeconds') || 5) * 1000;
+
+    try {
+      const params = {
+        liveChatId: this.liveChatId,
+        part: 'snippet,authorDetails',
+        maxResults: 200
+      };
+      if (this.pageToken) params.pageToken = this.pageToken;
+
+      const data = await this.request('GET', '/liveChat/messages', params);
+      this.pageToken = data.nextPageToken;
+
+      // Never poll faster than YouTube asks us to
+      delayMs = Math.max(delayMs, data.pollingIntervalMillis || 0);
+      this.backoffMs = 0;
+
+      if (!skipBacklog) {
+        for (const item of data.items || []) {
+          await this.handleItem(item);
+        }
+      }
+    } catch (err) {
+      if (err.statusCode === 404 || CHAT_ENDED_REASONS.includes(err.reason)) {
+        // Broadcast ended - wait for the next one
+        console.log('▶️ YouTube live chat ended');
+        this.liveChatId = null;
+        this.emit('disconnected');
+        this.schedule(() => this.findLiveChat(), BROADCAST_CHECK_MS);
+        return;
+      }
+      if (BACKOFF_REASONS.includes(err.reason)) {
+        // Quota only comes back the next day - wait the longest for it, double the wait for rate limits
+        this.backoffMs = err.reason === 'quotaExceeded' || err.reason === 'dailyLimitExceeded'
+          ? MAX_BACKOFF_MS
+          : Math.min(Math.max(this.backoffMs * 2, delayMs * 2), MAX_BACKOFF_MS);
+        console.warn(`▶️ YouTube API ${err.reason} - next chat poll in ${Math.round(this.backoffMs / 1000)}s`);
+        delayMs = this.backoffMs;
+      } else {
+        console.error('YouTube chat poll error:', err.message);
+      }
+    }
+
+    this.schedule(() => this.poll(), delayMs);
+  }
+
+  /**
+   * Handle one live chat message
+   */
+  async handleItem(item) {
+    if (this.sentMessageIds.delete(item.id)) return;  // Ignore bot's own messages
+
+    const snippet = item.snippet || {};
+    const author = item.authorDetails || {};
+    if (author.profileImageUrl) {
+      this.avatars.set(author.channelId, author.profileImageUrl);
+    }
+
+    if (snippet.type === 'superChatEvent') {
+      const details = snippet.superChatDetails || {};
+      this.handleSuperChat(author, details.amountMicros, details.currency);
+    } else if (snippet.type === 'superStickerEvent') {
+      const details = snippet.superStickerDetails || {};
+      this.handleSuperChat(author, details.amountMicros, details.currency);
+    } else if (snippet.type === 'textMessageEvent') {
+      await chat.handleMessage(this, this.getChatMessage(author, snippet.textMessageDetails?.messageText));
+    }
+  }
+
+  /**
+   * Turn a YouTube chat author into the message format chat.js handles
+   * Channel members count as subscribers; YouTube has no VIPs
+   */
+  getChatMessage(author, text) {
+    const roles = [];
+    if (author.isChatSponsor) roles.push('subscriber');
+    if (author.isChatModerator) roles.push('moderator');
+    if (author.isChatOwner) roles.push('broadcaster');
+
+    const displayName = author.displayName || 'viewer';
+    return {
+      userId: author.channelId,
+      username: displayName.replace(/^@/, '').toLowerCase(),
+      displayName: displayName.replace(/^@/, ''),
+      roles,
+      text: text || ''
+    };
+  }
+
+  /**
+   * Convert a Super Chat amount to the donation tiers' currency (youtube.currency)
+   * @returns {number|null} Converted amount, or null if there's no exchange rate for the currency
+   */
+  convertAmount(amount, currency) {
+    const ytConfig = config.get('youtube');
+    const tierCurrency = (ytConfig.currency || 'USD').toUpperCase();
+    if (!currency || currency.toUpperCase() === tierCurrency) return amount;
+
+    const rate = (ytConfig.exchangeRates || {})[currency.toUpperCase()];
+    return rate > 0 ? Math.round(amount * rate * 100) / 100 : null;
+  }
+
+  /**
+   * Handle a Super Chat or Super Sticker like a donation (donations.actions tiers)
+   * Amounts are converted to the tiers' currency first
+   */
+  handleSuperChat(author, amountMicros, originalCurrency) {
+    const donationsConfig = config.get('donations');
+    if (!config.get('youtube.superChats') || !donationsConfig.enabled) return;
+
+    const originalAmount = (parseInt(amountMicros) || 0) / 1000000;
+    const username = (author.displayName || 'viewer').replace(/^@/, '');
+
+    console.log(`💰 Super Chat: ${username} - ${originalCurrency}${originalAmount}`);
+
+    const amount = this.convertAmount(originalAmount, originalCurrency);
+    if (amount === null) {
+      console.log(`   No exchange rate for ${originalCurrency} in youtube.exchangeRates - skipping donation tiers`);
+      return;
+    }
+    const currency = (config.get('youtube.currency') || 'USD').toUpperCase();
+
+    // Big enough Super Chats also bump the viewer's song request (requests are made under the channel ID)
+    chat.bumpForDonation(`${this.name}:${author.channelId}`, username, amount);
+
+    // Find matching action based on amount
+    const matchingAction = donationsConfig.actions.find(action => {
+      const minOk = amount >= action.minAmount;
+      const maxOk = action.maxAmount === null || amount <= action.maxAmount;
+      return minOk && maxOk;
+    });
+
+    if (!matchingAction) return;
+
+    const result = gameEngine.processAction(matchingAction.action, username, {
+      source: 'donation',
+      amount,
+      currency,
+      avatarUrl: author.profileImageUrl || null
+    });
+
+    // Send chat announcement
+    if (config.get('game.announcements.enabled')) {
+      // Rejections (e.g. per-user limits) announce the reason instead of the donation message
+      let message = (result.success && matchingAction.message) || result.message || '';
+      message = message
+        .replace('{user}', username)
+        .replace('{amount}', amount.toFixed(2))
+        .replace('{rate}', result.newRate?.toFixed(2) || '');
+
+      if (message) {
+        chat.announce(message);
+      }
+    }
+
+    this.emit('superChatProcessed', {
+      username,
+      amount,
+      currency,
+      action: matchingAction.action,
+      result
+    });
+  }
+
+  /**
+   * Chat provider: post in the live chat
+   */
+  sendChat(message) {
+    if (!this.isConnected()) return;
+
+    const text = message.length > MAX_MESSAGE_LENGTH
+      ? message.slice(0, MAX_MESSAGE_LENGTH - 1) + '…'
+      : message;
+
+    this.request('POST', '/liveChat/messages', { part: 'snippet' }, {
+      snippet: {
+        liveChatId: this.liveChatId,
+        type: 'textMessageEvent',
+        textMessageDetails: { messageText: text }
+      }
+    })
+      .then(sent => {
+        if (sent?.id) this.sentMessageIds.add(sent.id);
+      })
+      .catch(err => {
+        console.error('YouTube chat error:', err.message);
+      });
+  }
+
+  /**
+   * Chat provider: profile picture seen in the chat
+   */
+  async getAvatarUrl(channelId) {
+    return this.avatars.get(channelId) || null;
+  }
+
+  /**
+   * Make a YouTube Data API request, refreshing the access token when needed
+   */
+  async request(method, path, params = {}, body = null, retried = false) {
+    const token = await this.getAccessToken();
+    const url = `${API_URL}${path}?${new URLSearchParams(params)}`;
+
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (response.status === 401 && !retried) {
+      config.set('youtube.tokenExpiresAt', 0);
+      return this.request(method, path, params, body, true);
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const err = new Error(data.error?.message || `HTTP ${response.status}`);
+      err.statusCode = response.status;
+      err.reason = data.error?.errors?.[0]?.reason || null;  // e.g. liveChatEnded, quotaExceeded
+      throw err;
+    }
+    return data;
+  }
+
+  /**
+   * Get a valid access token (refreshed shortly before it expires)
+   */
+  async getAccessToken() {
+    const ytConfig = config.get('youtube');
+    if (ytConfig.accessToken && Date.now() < ytConfig.tokenExpiresAt - 60000) {
+      return ytConfig.accessToken;
+    }
+
+    const response = await fetch(TOKEN_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        client_id: ytConfig.clientId,
+        client_secret: ytConfig.clientSecret,
+        refresh_token: ytConfig.refreshToken,
+        grant_type: 'refresh_token'
+      })
+    });
+
+    const tokens = await response.json();
+    if (!tokens.access_token) {
+      throw new Error(tokens.error_description || 'YouTube token refresh failed');
+    }
+
+    this.saveTokens(tokens);
+    return tokens.access_token;
+  }
+
+  /**
+   * Store tokens from the OAuth token endpoint
+   */
+  saveTokens(tokens) {
+    config.update({
+      youtube: {
+        accessToken: tokens.access_token,
+        tokenExpiresAt: Date.now() + (tokens.expires_in || 3600) * 1000,
+        // Google only sends a refresh token on the first authorization
+        ...(tokens.refresh_token ? { refreshToken: tokens.refresh_token } : {})
+      }
+    });
+  }
+}
+
+module.exports = new YouTubeIntegration();